@@ -97,6 +97,20 @@ load_all_artifacts()
 print("🚀 All artifacts loaded. API ready.")
 
 
+# ============================================================
+# --- Health Endpoint ---
+# ============================================================
+@app.get("/health")
+async def health():
+    cf_loaded = CF_USER_FACTORS is not None and CF_MAPPERS is not None
+    cbf_loaded = CBF_SIM_MATRIX is not None and CBF_MAPPERS is not None
+    return {
+        "status": "ok" if cf_loaded and cbf_loaded else "degraded",
+        "cf_loaded": cf_loaded,
+        "cbf_loaded": cbf_loaded,
+    }
+
+
 # ============================================================
 # --- CF Recommendation Endpoint ---
 # ============================================================
@@ -0,0 +1,73 @@
+// ================================
+// Roll-ups for the admin analytics routes
+// ================================
+
+const rate = (numerator, denominator) => (denominator ? numerator / denominator : 0);
+
+// impressionRows: [{ _id: { strategy, position, brand }, impressions }]
+// eventRows:      [{ _id: { strategy, position, brand, type }, count }]
+// Sums both over one dimension of the key (or over everything when
+// `dimension` is null); returns rows sorted by that dimension for `position`
+// and by impressions otherwise.
+const rollupCtr = (impressionRows, eventRows, dimension = null) => {
+  const rows = new Map();
+  const keyOf = r => (dimension ? r._id[dimension] ?? null : 'all');
+  const row = key => {
+    if (!rows.has(key))
+      rows.set(key, { ...(dimension && { [dimension]: key }), impressions: 0, clicks: 0, carts: 0 });
+    return rows.get(key);
+  };
+
+  for (const r of impressionRows) row(keyOf(r)).impressions += r.impressions;
+  for (const r of eventRows) {
+    const target = row(keyOf(r));
+    if (r._id.type === 'click') target.clicks += r.count;
+    else if (r._id.type === 'cart') target.carts += r.count;
+  }
+
+  const result = [...rows.values()].map(r => ({
+    ...r,
+    ctr: rate(r.clicks, r.impressions),
+    cartRate: rate(r.carts, r.impressions),
+  }));
+  return dimension === 'position'
+    ? result.sort((a, b) => a.position - b.position)
+    : result.sort((a, b) => b.impressions - a.impressions);
+};
+
+// rows: [{ _id: { date: 'YYYY-MM-DD', type }, count }] -> one entry per day
+// of the window (oldest first), with a count per type and a total.
+const dailySeries = (rows, since, days, types) => {
+  const series = new Map();
+  const start = Date.UTC(since.getUTCFullYear(), since.getUTCMonth(), since.getUTCDate());
+  for (let i = 0; i <= days; i++) {
+    const date = new Date(start + i * 86400000).toISOString().slice(0, 10);
+    series.set(date, { date, total: 0, ...Object.fromEntries(types.map(t => [t, 0])) });
+  }
+  for (const r of rows) {
+    const day = series.get(r._id.date);
+    if (!day) continue;
+    day[r._id.type] = (day[r._id.type] || 0) + r.count;
+    day.total += r.count;
+  }
+  return [...series.values()];
+};
+
+// perUser: [{ _id: userId, count }], count being the distinct phones the user
+// interacted with. Registered users with no interactions are cold start too;
+// ids only seen in interactions (imported data) are included.
+const segmentUsers = (perUser, registeredIds, threshold) => {
+  const counts = new Map(perUser.map(r => [r._id, r.count]));
+  for (const id of registeredIds) if (!counts.has(id)) counts.set(id, 0);
+  let coldStart = 0;
+  for (const count of counts.values()) if (count < threshold) coldStart++;
+  return {
+    total: counts.size,
+    registered: registeredIds.length,
+    coldStart,
+    warmStart: counts.size - coldStart,
+    coldStartThreshold: threshold,
+  };
+};
+
+module.exports = { rate, rollupCtr, dailySeries, segmentUsers };
@@ -0,0 +1,106 @@
+// ================================
+// Small caching layer: in-process LRU with an optional pluggable store
+// ================================
+
+// Default store. Entries expire after `ttlMs`; the least recently used entry
+// is evicted once `maxEntries` is reached.
+class MemoryLruStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used.
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries)
+      this.entries.delete(this.entries.keys().next().value);
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// A store is any object with get/set/delete (sync or async), e.g. a thin
+// Redis adapter; values must then be JSON-serialisable.
+const createCache = ({ name, ttlMs = 60000, maxEntries = 500, store } = {}) => {
+  const backend = store || new MemoryLruStore({ maxEntries });
+  const counters = { hits: 0, misses: 0, invalidations: 0, staleWrites: 0 };
+  // Per-key invalidation count (kept in process). A value computed from
+  // data read before a del() of its key is stale and must not be stored.
+  const versions = new Map();
+  const version = key => versions.get(key) || 0;
+
+  const get = async key => {
+    const value = await backend.get(key);
+    if (value === undefined) counters.misses++;
+    else counters.hits++;
+    return value;
+  };
+
+  // With `since` (the version() read before computing the value) the write
+  // is dropped if the key was invalidated in the meantime. Returns whether
+  // the value was stored.
+  const set = async (key, value, { since } = {}) => {
+    if (since !== undefined && version(key) !== since) {
+      counters.staleWrites++;
+      return false;
+    }
+    await backend.set(key, value, ttlMs);
+    return true;
+  };
+
+  const del = async key => {
+    counters.invalidations++;
+    versions.set(key, version(key) + 1);
+    await backend.delete(key);
+  };
+
+  // Returns the cached value or computes and stores it. null/undefined
+  // results (e.g. failed upstream calls) are not cached, nor are results
+  // whose key was invalidated while they were computed.
+  const wrap = async (key, compute) => {
+    const since = version(key);
+    const cached = await get(key);
+    if (cached !== undefined) return cached;
+    const value = await compute();
+    if (value !== null && value !== undefined) await set(key, value, { since });
+    return value;
+  };
+
+  const stats = () => {
+    const lookups = counters.hits + counters.misses;
+    return {
+      name,
+      ...counters,
+      hitRate: lookups ? +(counters.hits / lookups).toFixed(3) : 0,
+      size: typeof backend.size === 'number' ? backend.size : null,
+    };
+  };
+
+  return { get, set, del, wrap, version, stats };
+};
+
+module.exports = { MemoryLruStore, createCache };
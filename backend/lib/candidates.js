@@ -0,0 +1,85 @@
+// ================================
+// Candidate generation for /api/recommendations
+// Shared by the route and the offline evaluator (scripts/evaluate.js), which
+// plug in their own data access and model clients.
+// ================================
+
+const { DEFAULT_WEIGHTS, buildSeeds, addWishlistSeeds, blendScores } = require('./hybrid');
+const { buildExclusions } = require('./exclusion');
+const { withSearchIntent } = require('./preferences');
+
+// Items asked of each model list on a first build.
+const DEFAULT_DEPTH = 50;
+
+const distinctItemCount = interactions => new Set(interactions.map(it => it.itemId)).size;
+
+// deps:
+//   loadUserState(userId)      -> { interactions (newest first), feedback, profile,
+//                                  searches (optional, newest first) }
+//   getCfRecos(userId, k)      -> itemIds | [] (unknown user) | null (service failed)
+//   getSimilarItems(itemId, k) -> { items, source: 'python' | 'js' | null }
+//   fallbackRecommender        -> optional, with isReady() and recommendForUser()
+//   lookupNames(itemIds)       -> Map(itemId -> display name)
+//   coldStartThreshold
+//
+// `depth` is the k asked of each model list. The result holds everything
+// about a user's shelf that does not depend on page or brand filter:
+// strategy, ordered candidates and exclusions, plus `truncated` when a list
+// came back full, i.e. a deeper build could find more. It is cached by the
+// route, so it must stay JSON-serialisable.
+const createCandidateBuilder = deps => async (userId, policy, overrides = {}, depth = DEFAULT_DEPTH) => {
+  const weights = overrides.weights || DEFAULT_WEIGHTS;
+  const coldStartThreshold = overrides.coldStartThreshold ?? deps.coldStartThreshold;
+
+  const { interactions, feedback, profile, searches } = await deps.loadUserState(userId);
+  const exclusions = buildExclusions(interactions, policy, feedback?.dismissed);
+  const base = {
+    excludedItems: [...exclusions.items],
+    excludedBrands: [...exclusions.brands],
+    profile: withSearchIntent(profile, searches) || null,
+    depth,
+  };
+  const full = list => Array.isArray(list) && list.length >= depth;
+
+  // 🧊 Cold Start: counted in distinct phones, so opening one phone (a
+  // click, then a view) or re-saving it does not count several times.
+  if (distinctItemCount(interactions) < coldStartThreshold) {
+    const [lastSeed] = buildSeeds(interactions, { ...weights, seedCount: 1 });
+    if (!lastSeed) return { ...base, strategy: 'cold_start', candidates: null };
+    const similar = await deps.getSimilarItems(lastSeed.itemId, depth);
+    return {
+      ...base,
+      strategy: 'cold_start',
+      source: similar.source,
+      candidates: similar.items ? [...new Set(similar.items)].map(itemId => ({ itemId })) : null,
+      degraded: similar.source !== 'python',
+      truncated: full(similar.items),
+    };
+  }
+
+  // 🔥 Warm Start (Hybrid)
+  let source = 'python';
+  let cf = await deps.getCfRecos(userId, depth);
+  if (!cf && deps.fallbackRecommender?.isReady()) {
+    cf = deps.fallbackRecommender.recommendForUser(interactions, depth);
+    source = 'js';
+  }
+  if (!cf) return { ...base, strategy: 'cf_unavailable', candidates: null, degraded: true };
+
+  const seeds = addWishlistSeeds(buildSeeds(interactions, weights), feedback?.wishlist, weights);
+  const similar = await Promise.all(seeds.map(s => deps.getSimilarItems(s.itemId, depth)));
+  const cbfLists = similar.map(s => s.items);
+  if (similar.some(s => s.source === 'js')) source = 'js';
+  const names = await deps.lookupNames(seeds.map(s => s.itemId));
+
+  return {
+    ...base,
+    strategy: 'hybrid',
+    source,
+    degraded: source === 'js',
+    candidates: blendScores({ cf, seeds, cbfLists, names, weights }),
+    truncated: full(cf) || cbfLists.some(full),
+  };
+};
+
+module.exports = { DEFAULT_DEPTH, createCandidateBuilder };
@@ -0,0 +1,215 @@
+// ================================
+// Catalog query builder for GET /api/mobiles and GET /api/mobiles/facets
+// The same filter params narrow /api/recommendations and /api/home.
+// ================================
+
+// Boolean filters on the derived spec fields (see specFields.js); the query
+// param and the field share a name.
+const BOOLEAN_FILTERS = ['touchscreen', 'wifi', 'bluetooth', 'expandableStorage'];
+
+const SORT_FIELDS = {
+  popularity: 'popularityScore',
+  rating: 'averageRating',
+  battery: 'Battery capacity (mAh)',
+  launched: 'launchDate',
+};
+
+const RANGE_FACETS = {
+  battery: { field: 'Battery capacity (mAh)', boundaries: [0, 1500, 2500, 3500, 4500, 5500, 100000] },
+  screen: { field: 'Screen size (inches)', boundaries: [0, 4, 5, 5.5, 6, 6.5, 20] },
+};
+
+// Catalog facet -> the field its filter sets.
+const FACET_FIELDS = {
+  brand: 'Brand',
+  os: 'Operating system',
+  ...Object.fromEntries(BOOLEAN_FILTERS.map(field => [field, field])),
+  launchYear: 'launchYear',
+  battery: RANGE_FACETS.battery.field,
+  screen: RANGE_FACETS.screen.field,
+};
+
+// --- Query param parsing ---
+const list = value =>
+  String(value || '')
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+
+const number = value => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const yesNo = value => {
+  const v = String(value).toLowerCase();
+  if (['yes', 'true', '1'].includes(v)) return true;
+  if (['no', 'false', '0'].includes(v)) return false;
+  return null;
+};
+
+const range = (min, max) => {
+  const cond = {};
+  if (min !== null) cond.$gte = min;
+  if (max !== null) cond.$lte = max;
+  return Object.keys(cond).length ? cond : null;
+};
+
+const buildFilters = query => {
+  const match = {};
+  const brands = list(query.brand);
+  if (brands.length) match.Brand = { $in: brands };
+  const systems = list(query.os);
+  if (systems.length) match['Operating system'] = { $in: systems };
+  const families = list(query.osFamily);
+  if (families.length) match.osFamily = { $in: families };
+
+  const battery = range(number(query.minBattery), number(query.maxBattery));
+  if (battery) match['Battery capacity (mAh)'] = battery;
+  const screen = range(number(query.minScreen), number(query.maxScreen));
+  if (screen) match['Screen size (inches)'] = screen;
+  const rearCamera = range(number(query.minRearCamera), number(query.maxRearCamera));
+  if (rearCamera) match.rearCameraMp = rearCamera;
+  const frontCamera = range(number(query.minFrontCamera), number(query.maxFrontCamera));
+  if (frontCamera) match.frontCameraMp = frontCamera;
+  const cores = range(number(query.minCores), number(query.maxCores));
+  if (cores) match.cpuCores = cores;
+
+  for (const field of BOOLEAN_FILTERS) {
+    if (query[field] === undefined) continue;
+    const value = yesNo(query[field]);
+    if (value !== null) match[field] = value;
+  }
+
+  const years = range(number(query.minYear), number(query.maxYear));
+  const year = number(query.year);
+  if (year !== null) match.launchYear = year;
+  else if (years) match.launchYear = years;
+
+  return match;
+};
+
+const countBy = field => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $ne: null } } },
+  { $sort: { count: -1, _id: 1 } },
+];
+
+const bucketBy = ({ field, boundaries }) => [
+  { $match: { [field]: { $gte: boundaries[0], $lt: boundaries[boundaries.length - 1] } } },
+  { $bucket: { groupBy: `$${field}`, boundaries, output: { count: { $sum: 1 } } } },
+];
+
+const omit = (match, fields) =>
+  Object.fromEntries(Object.entries(match).filter(([field]) => !fields.includes(field)));
+
+// Facet counts are disjunctive: each facet applies every filter except its
+// own, so with one brand selected the brand facet still counts the others.
+const buildCatalogPipeline = query => {
+  const match = buildFilters(query);
+  const shared = omit(match, Object.values(FACET_FIELDS));
+  const faceted = omit(match, Object.keys(shared));
+  const facet = (name, stages) => [{ $match: omit(faceted, [FACET_FIELDS[name]]) }, ...stages];
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  const sortField = SORT_FIELDS[query.sort] || SORT_FIELDS.popularity;
+  const direction = query.order === 'asc' ? 1 : -1;
+
+  const pipeline = [
+    { $match: shared },
+    {
+      $facet: {
+        items: [
+          { $match: faceted },
+          { $sort: { [sortField]: direction, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        total: [{ $match: faceted }, { $count: 'count' }],
+        brand: facet('brand', countBy('Brand')),
+        os: facet('os', countBy('Operating system')),
+        ...Object.fromEntries(BOOLEAN_FILTERS.map(field => [field, facet(field, countBy(field))])),
+        launchYear: facet('launchYear', countBy('launchYear')),
+        battery: facet('battery', bucketBy(RANGE_FACETS.battery)),
+        screen: facet('screen', bucketBy(RANGE_FACETS.screen)),
+      },
+    },
+  ];
+
+  return { pipeline, page, limit };
+};
+
+// Range facets report each bucket as { min, max, count } (max exclusive).
+const formatFacet = (name, rows) => {
+  const bounds = RANGE_FACETS[name]?.boundaries;
+  return bounds
+    ? rows.map(r => ({ min: r._id, max: bounds[bounds.indexOf(r._id) + 1], count: r.count }))
+    : rows.map(r => ({ value: r._id, count: r.count }));
+};
+
+// Reshapes the $facet output into { items, total, page, limit, facets }.
+const formatCatalogResult = ([result], page, limit) => {
+  const { items, total, ...facetGroups } = result;
+  const facets = {};
+  for (const [name, rows] of Object.entries(facetGroups)) facets[name] = formatFacet(name, rows);
+  const count = total[0]?.count || 0;
+  return {
+    items,
+    total: count,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+    facets,
+  };
+};
+
+// Options for a filter panel over the phones matching `match`: brands and
+// OS families with counts, and the battery / screen spans with buckets.
+const buildFacetsPipeline = (match = {}) => [
+  { $match: match },
+  {
+    $facet: {
+      total: [{ $count: 'count' }],
+      brand: countBy('Brand'),
+      osFamily: countBy('osFamily'),
+      battery: bucketBy(RANGE_FACETS.battery),
+      screen: bucketBy(RANGE_FACETS.screen),
+      spans: [
+        {
+          $group: {
+            _id: null,
+            minBattery: { $min: `$${RANGE_FACETS.battery.field}` },
+            maxBattery: { $max: `$${RANGE_FACETS.battery.field}` },
+            minScreen: { $min: `$${RANGE_FACETS.screen.field}` },
+            maxScreen: { $max: `$${RANGE_FACETS.screen.field}` },
+          },
+        },
+      ],
+    },
+  },
+];
+
+// -> { total, brands, os, ranges: { battery, screen } }; a range is
+// { min, max, buckets } with null bounds when no phone has the field.
+const formatFacetsResult = ([result]) => {
+  const [spans = {}] = result.spans;
+  const span = (name, key) => ({
+    min: spans[`min${key}`] ?? null,
+    max: spans[`max${key}`] ?? null,
+    buckets: formatFacet(name, result[name]),
+  });
+  return {
+    total: result.total[0]?.count || 0,
+    brands: formatFacet('brand', result.brand),
+    os: formatFacet('osFamily', result.osFamily),
+    ranges: { battery: span('battery', 'Battery'), screen: span('screen', 'Screen') },
+  };
+};
+
+module.exports = {
+  buildFilters,
+  buildCatalogPipeline,
+  formatCatalogResult,
+  buildFacetsPipeline,
+  formatFacetsResult,
+};
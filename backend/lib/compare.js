@@ -0,0 +1,74 @@
+// ================================
+// Side-by-side comparison for POST /api/mobiles/compare
+// ================================
+
+const { deriveSpecFields } = require('./specFields');
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+// label, the raw field shown to users, and for numeric rows the typed value
+// that is compared. `better` marks which end wins; rows without it are not
+// highlighted (e.g. screen size is a matter of taste).
+const COMPARE_ROWS = [
+  { key: 'os', label: 'Operating system', display: 'Operating system' },
+  { key: 'processor', label: 'Processor', display: 'Processor' },
+  { key: 'cpuCores', label: 'CPU cores', value: 'cpuCores', better: 'higher' },
+  { key: 'cpuClockGHz', label: 'CPU clock (GHz)', value: 'cpuClockGHz', better: 'higher' },
+  { key: 'rearCamera', label: 'Rear camera', display: 'Rear camera', value: 'rearCameraMp', better: 'higher' },
+  { key: 'frontCamera', label: 'Front camera', display: 'Front camera', value: 'frontCameraMp', better: 'higher' },
+  { key: 'battery', label: 'Battery (mAh)', value: 'Battery capacity (mAh)', better: 'higher' },
+  { key: 'screen', label: 'Screen size (inches)', value: 'Screen size (inches)' },
+  { key: 'launched', label: 'Launched', display: 'Launched', value: 'launchDate', better: 'higher' },
+  { key: 'averageRating', label: 'Average rating', value: 'averageRating', better: 'higher' },
+  { key: 'ratingCount', label: 'Ratings', value: 'ratingCount', better: 'higher' },
+  { key: 'wifi', label: 'Wi-Fi', display: 'Wi-Fi' },
+  { key: 'bluetooth', label: 'Bluetooth', display: 'Bluetooth' },
+  { key: 'touchscreen', label: 'Touchscreen', display: 'Touchscreen' },
+  { key: 'expandableStorage', label: 'Expandable storage', display: 'Expandable storage' },
+];
+
+const comparable = value => {
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+// Indices of the winning items, or [] when fewer than two items have a value
+// or they all tie.
+const bestIndices = (values, better) => {
+  const numbers = values.map(comparable);
+  const present = numbers.filter(n => n !== null);
+  if (!better || present.length < 2 || new Set(present).size === 1) return [];
+  const target = better === 'higher' ? Math.max(...present) : Math.min(...present);
+  return numbers.flatMap((n, i) => (n === target ? [i] : []));
+};
+
+// mobiles: docs in the requested order. Derived fields are recomputed so
+// phones not yet backfilled compare correctly.
+const buildComparison = mobiles => {
+  const docs = mobiles.map(m => ({ ...m, ...deriveSpecFields(m) }));
+  const rows = COMPARE_ROWS.map(row => {
+    const values = docs.map(d => (row.value ? d[row.value] : null));
+    return {
+      key: row.key,
+      label: row.label,
+      values: docs.map((d, i) => {
+        const shown = row.display ? d[row.display] : values[i];
+        return shown === undefined ? null : shown;
+      }),
+      best: bestIndices(values, row.better),
+    };
+  });
+
+  return {
+    items: docs.map(d => ({
+      url: d.url,
+      Brand: d.Brand,
+      Model: d.Model,
+      'Picture URL': d['Picture URL'],
+    })),
+    rows,
+  };
+};
+
+module.exports = { MIN_COMPARE, MAX_COMPARE, COMPARE_ROWS, buildComparison };
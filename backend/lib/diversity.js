@@ -0,0 +1,108 @@
+// ================================
+// Diversity re-ranking for /api/recommendations and /api/mobiles/similar
+// Runs after blending: maximal marginal relevance (MMR) over spec
+// similarity, a per-brand cap per page and exploration slots filled with
+// phones that have been shown little lately.
+// ================================
+
+const DIVERSITY_DEFAULTS = { enabled: true, lambda: 0.7, brandCap: 3, explorationSlots: 1 };
+const EXPLORATION_REASON = 'you might not have come across it yet';
+// Phones kept as exploration candidates, least shown first.
+const EXPLORATION_POOL_SIZE = 100;
+// Each page is picked from this many pages' worth of the best remaining
+// phones, so MMR stays linear in the list length.
+const MMR_WINDOW_PAGES = 3;
+
+const OFF_VALUES = ['0', 'false', 'off', 'no'];
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === '' || !Number.isFinite(n) ? fallback : Math.min(Math.max(n, min), max);
+};
+
+// Per-request overrides: ?diversify=false turns the stage off for
+// side-by-side comparison; ?lambda, ?brandCap and ?explore tune it.
+const diversityOptions = (query = {}, defaults = DIVERSITY_DEFAULTS) => ({
+  enabled: query.diversify === undefined ? defaults.enabled : !OFF_VALUES.includes(String(query.diversify).toLowerCase()),
+  lambda: clampNumber(query.lambda, 0, 1, defaults.lambda),
+  brandCap: Math.round(clampNumber(query.brandCap, 0, 25, defaults.brandCap)),
+  explorationSlots: Math.round(clampNumber(query.explore, 0, 5, defaults.explorationSlots)),
+});
+
+// mobiles: Mobile docs with popularity fields; exposure: Map(url ->
+// impressions in the window). Phones rated at least the catalog median,
+// least shown first, so exploration does not surface the worst phones.
+const explorationCandidates = (mobiles, exposure, size = EXPLORATION_POOL_SIZE) => {
+  const ratings = mobiles.map(m => m.bayesianRating || 0).sort((a, b) => a - b);
+  const median = ratings.length ? ratings[Math.floor(ratings.length / 2)] : 0;
+  return mobiles
+    .filter(m => (m.bayesianRating || 0) >= median)
+    .map(m => ({ itemId: m.url, brand: m.Brand, shown: exposure.get(m.url) || 0, score: m.popularityScore || 0 }))
+    .sort((a, b) => a.shown - b.shown || b.score - a.score)
+    .slice(0, size);
+};
+
+// The list started at a stable per-seed offset, so a user's pages do not
+// reshuffle between requests while different users explore different phones.
+const rotate = (list, seed) => {
+  let hash = 0;
+  for (const ch of String(seed ?? '')) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  const offset = list.length ? hash % list.length : 0;
+  return [...list.slice(offset), ...list.slice(0, offset)];
+};
+
+// items: hydrated docs in blended order. similarity(urlA, urlB) -> [0, 1];
+// exploration: docs for the exploration slots, in the order to use them.
+// Builds the list page by page: each page picks by MMR among the best
+// `MMR_WINDOW_PAGES` pages' worth of remaining phones, with relevance taken
+// from the blended rank, and holds at most `brandCap` phones per brand
+// (0 = no cap) unless the window holds nothing else; then its last
+// `explorationSlots` places go to exploration phones, preferring brands
+// still under the cap. Items pushed out of a page move on to later pages.
+const diversify = (items, { pageSize, lambda, brandCap, explorationSlots, similarity, exploration = [] }) => {
+  const relevance = new Map(items.map((m, i) => [m.url, 1 - i / items.length]));
+  const remaining = [...items];
+  const explore = exploration.filter(m => !relevance.has(m.url));
+  const slots = Math.min(explorationSlots, pageSize - 1);
+  const result = [];
+
+  while (remaining.length) {
+    const page = [];
+    const brands = new Map();
+    const window = remaining.splice(0, pageSize * MMR_WINDOW_PAGES);
+    const maxSimilarity = new Map(window.map(m => [m.url, 0]));
+    while (page.length < pageSize - (explore.length ? slots : 0) && window.length) {
+      const allowed = window.filter(m => !brandCap || (brands.get(m.Brand) || 0) < brandCap);
+      let best = null;
+      let bestScore = -Infinity;
+      for (const m of allowed.length ? allowed : window) {
+        const score = lambda * relevance.get(m.url) - (1 - lambda) * maxSimilarity.get(m.url);
+        if (score > bestScore) [best, bestScore] = [m, score];
+      }
+      window.splice(window.indexOf(best), 1);
+      page.push(best);
+      brands.set(best.Brand, (brands.get(best.Brand) || 0) + 1);
+      for (const m of window)
+        maxSimilarity.set(m.url, Math.max(maxSimilarity.get(m.url), similarity(m.url, best.url)));
+    }
+    remaining.unshift(...window);
+    for (let i = 0; i < slots && explore.length; i++) {
+      const fits = explore.findIndex(m => !brandCap || (brands.get(m.Brand) || 0) < brandCap);
+      const [m] = explore.splice(Math.max(fits, 0), 1);
+      brands.set(m.Brand, (brands.get(m.Brand) || 0) + 1);
+      page.push({ ...m, exploration: true, reasons: [EXPLORATION_REASON] });
+    }
+    result.push(...page);
+  }
+  return result;
+};
+
+module.exports = {
+  DIVERSITY_DEFAULTS,
+  EXPLORATION_POOL_SIZE,
+  MMR_WINDOW_PAGES,
+  diversityOptions,
+  explorationCandidates,
+  rotate,
+  diversify,
+};
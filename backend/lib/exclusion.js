@@ -0,0 +1,68 @@
+// ================================
+// Exclusion policy for recommendation shelves
+// ================================
+
+const DEFAULT_EXCLUSION_POLICY = {
+  // Purchased phones are never recommended again.
+  excludePurchased: true,
+  // Drop phones viewed in the last N days (0 disables the rule).
+  excludeViewedDays: parseInt(process.env.EXCLUDE_VIEWED_DAYS) || 0,
+  // Hide a whole brand once this many of its phones were marked
+  // "not interested" (0 disables the rule).
+  brandDismissThreshold: parseInt(process.env.DISMISS_BRAND_THRESHOLD ?? 3) || 0,
+};
+
+// Builds the itemIds and brands to hide from a user's shelves, based on the
+// interactions already loaded for that user and their "not interested" list.
+const buildExclusions = (
+  interactions,
+  policy = DEFAULT_EXCLUSION_POLICY,
+  dismissed = [],
+  now = Date.now()
+) => {
+  const items = new Set();
+  const brands = new Set();
+  const viewedSince = now - policy.excludeViewedDays * 86400000;
+
+  for (const it of interactions) {
+    if (policy.excludePurchased && it.interactionType === 'purchase') {
+      items.add(it.itemId);
+    } else if (
+      policy.excludeViewedDays > 0 &&
+      it.interactionType === 'view' &&
+      it.timestamp &&
+      new Date(it.timestamp).getTime() >= viewedSince
+    ) {
+      items.add(it.itemId);
+    }
+  }
+
+  const brandCounts = new Map();
+  for (const d of dismissed) {
+    items.add(d.itemId);
+    if (d.brand) brandCounts.set(d.brand, (brandCounts.get(d.brand) || 0) + 1);
+  }
+  if (policy.brandDismissThreshold > 0) {
+    for (const [brand, count] of brandCounts)
+      if (count >= policy.brandDismissThreshold) brands.add(brand);
+  }
+
+  return { items, brands };
+};
+
+// Merges per-request overrides (query params) onto the default policy.
+const resolveExclusionPolicy = (query = {}) => {
+  const days = parseInt(query.excludeViewedDays);
+  return {
+    ...DEFAULT_EXCLUSION_POLICY,
+    excludeViewedDays: Number.isFinite(days) && days >= 0
+      ? days
+      : DEFAULT_EXCLUSION_POLICY.excludeViewedDays,
+  };
+};
+
+module.exports = {
+  DEFAULT_EXCLUSION_POLICY,
+  buildExclusions,
+  resolveExclusionPolicy,
+};
@@ -0,0 +1,138 @@
+// ================================
+// A/B experiments for the recommendation strategies
+// Variants override hybrid weights and the cold-start threshold; users are
+// bucketed deterministically from a hash of experiment key + userId.
+// ================================
+
+const crypto = require('crypto');
+const { DEFAULT_WEIGHTS } = require('./hybrid');
+
+const EXPERIMENT_STATUSES = ['draft', 'running', 'stopped'];
+const BUCKETS = 10000;
+
+// Overridable parameters and their valid ranges.
+const VARIANT_PARAMS = {
+  cf: { min: 0, max: 1 },
+  cbf: { min: 0, max: 1 },
+  recencyHalfLifeDays: { min: 0.1, max: 365 },
+  seedCount: { min: 0, max: 20, integer: true },
+  wishlistSeedCount: { min: 0, max: 20, integer: true },
+  coldStartThreshold: { min: 0, max: 1000, integer: true },
+};
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// Validates a PUT /api/admin/experiments/:key body. Returns { experiment } or { errors }.
+const normalizeExperiment = (key, body) => {
+  const errors = [];
+  if (!KEY_PATTERN.test(key || ''))
+    errors.push('key must be 1-64 letters, digits, "-" or "_".');
+
+  const status = body.status ?? 'draft';
+  if (!EXPERIMENT_STATUSES.includes(status))
+    errors.push(`status must be one of: ${EXPERIMENT_STATUSES.join(', ')}.`);
+
+  const variants = Array.isArray(body.variants) ? body.variants : [];
+  if (variants.length < 2) errors.push('At least two variants are required.');
+
+  const names = new Set();
+  const normalized = variants.map((v, i) => {
+    const name = typeof v?.name === 'string' ? v.name.trim() : '';
+    if (!KEY_PATTERN.test(name)) errors.push(`variants[${i}].name is invalid.`);
+    else if (names.has(name)) errors.push(`Duplicate variant name "${name}".`);
+    names.add(name);
+
+    const allocation = Number(v?.allocation ?? 1);
+    if (!Number.isFinite(allocation) || allocation < 0)
+      errors.push(`variants[${i}].allocation must be a non-negative number.`);
+
+    const params = {};
+    for (const [param, value] of Object.entries(v?.params || {})) {
+      const range = VARIANT_PARAMS[param];
+      const number = Number(value);
+      if (!range) errors.push(`variants[${i}].params.${param} is not a tunable parameter.`);
+      else if (
+        !Number.isFinite(number) ||
+        number < range.min ||
+        number > range.max ||
+        (range.integer && !Number.isInteger(number))
+      )
+        errors.push(`variants[${i}].params.${param} must be ${range.integer ? 'an integer' : 'a number'} in [${range.min}, ${range.max}].`);
+      else params[param] = number;
+    }
+    return { name, allocation, params };
+  });
+
+  if (variants.length && normalized.every(v => !(v.allocation > 0)))
+    errors.push('At least one variant needs a positive allocation.');
+
+  if (errors.length) return { errors };
+  return {
+    experiment: {
+      key,
+      description: typeof body.description === 'string' ? body.description.trim() : '',
+      status,
+      variants: normalized,
+    },
+  };
+};
+
+// Stable bucket in [0, BUCKETS) for a user within one experiment.
+const bucketFor = (experimentKey, userId) =>
+  crypto.createHash('sha256').update(`${experimentKey}:${userId}`).digest().readUInt32BE(0) % BUCKETS;
+
+// Picks a variant proportionally to the allocations.
+const assignVariant = (experiment, userId) => {
+  const total = experiment.variants.reduce((sum, v) => sum + v.allocation, 0);
+  if (!(total > 0)) return null;
+  const point = (bucketFor(experiment.key, userId) / BUCKETS) * total;
+  let cumulative = 0;
+  for (const variant of experiment.variants) {
+    cumulative += variant.allocation;
+    if (point < cumulative) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+};
+
+// Variant params -> candidate builder overrides.
+const variantOverrides = variant => {
+  const { coldStartThreshold, ...weights } = variant.params || {};
+  return {
+    weights: { ...DEFAULT_WEIGHTS, ...weights },
+    coldStartThreshold,
+  };
+};
+
+// Keeps the running experiment in memory. `load()` returns it (or null);
+// the route calls `reload()` after every admin change.
+const createExperimentRegistry = ({ load }) => {
+  let running = null;
+
+  const reload = async () => {
+    running = (await load()) || null;
+    return running;
+  };
+
+  // { experiment, variant, overrides } for the user, or null.
+  const assign = userId => {
+    if (!running || !userId) return null;
+    const variant = assignVariant(running, userId);
+    if (!variant) return null;
+    return {
+      experiment: running.key,
+      variant: variant.name,
+      overrides: variantOverrides(variant),
+    };
+  };
+
+  return { reload, assign, current: () => running };
+};
+
+module.exports = {
+  EXPERIMENT_STATUSES,
+  VARIANT_PARAMS,
+  normalizeExperiment,
+  assignVariant,
+  variantOverrides,
+  createExperimentRegistry,
+};
@@ -0,0 +1,76 @@
+// ================================
+// Home page layout for GET /api/home
+// Shelves are sourced independently by the route; this module picks the
+// seeds and de-duplicates across shelves.
+// ================================
+
+const { INTERACTION_WEIGHTS } = require('./hybrid');
+
+// Items kept per shelf (across its pages) and the smallest shelf worth showing.
+const MAX_SHELF_ITEMS = 30;
+const MIN_SHELF_ITEMS = 2;
+const BECAUSE_YOU_VIEWED_SEEDS = 2;
+const BROWSING_TYPES = ['view', 'click', 'compare', 'wishlist'];
+
+// Distinct itemIds of the given interaction types, newest first
+// (interactions must be newest first).
+const recentItems = (interactions, types, count) => {
+  const seen = new Set();
+  for (const it of interactions) {
+    if (!types.includes(it.interactionType) || seen.has(it.itemId)) continue;
+    seen.add(it.itemId);
+    if (seen.size >= count) break;
+  }
+  return [...seen];
+};
+
+// Phones looked at but not bought or dismissed.
+const continueBrowsing = (interactions, count = MAX_SHELF_ITEMS) => {
+  const done = new Set(
+    interactions.filter(it => ['purchase', 'dismiss'].includes(it.interactionType)).map(it => it.itemId)
+  );
+  return recentItems(interactions.filter(it => !done.has(it.itemId)), BROWSING_TYPES, count);
+};
+
+// Brand with the most weighted interactions; the first preferred brand of
+// the profile when there are none.
+const favouriteBrand = (interactions, brandOf, profile = null) => {
+  const totals = new Map();
+  for (const it of interactions) {
+    const brand = brandOf.get(it.itemId);
+    const weight = INTERACTION_WEIGHTS[it.interactionType] ?? 1;
+    if (brand && weight) totals.set(brand, (totals.get(brand) || 0) + weight);
+  }
+  const [top] = [...totals].sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : profile?.preferredBrands?.[0] || null;
+};
+
+// shelves: [{ id, ..., items: [{ itemId, ... }] }] in display order.
+// Drops items already claimed by an earlier shelf, caps each shelf and
+// leaves out shelves with too few items.
+const dedupeShelves = (shelves, { maxItems = MAX_SHELF_ITEMS, minItems = MIN_SHELF_ITEMS } = {}) => {
+  const claimed = new Set();
+  const result = [];
+  for (const shelf of shelves) {
+    const items = [];
+    for (const item of shelf.items) {
+      if (claimed.has(item.itemId) || items.some(i => i.itemId === item.itemId)) continue;
+      items.push(item);
+      if (items.length >= maxItems) break;
+    }
+    if (items.length < minItems) continue;
+    items.forEach(i => claimed.add(i.itemId));
+    result.push({ ...shelf, items });
+  }
+  return result;
+};
+
+module.exports = {
+  MAX_SHELF_ITEMS,
+  BECAUSE_YOU_VIEWED_SEEDS,
+  BROWSING_TYPES,
+  recentItems,
+  continueBrowsing,
+  favouriteBrand,
+  dedupeShelves,
+};
@@ -0,0 +1,141 @@
+// ================================
+// Hybrid blending (CF rank + CBF overlap)
+// ================================
+
+// Relative strength of each interaction when it is used as a CBF seed.
+// Dismissals carry no positive signal and never seed recommendations.
+const INTERACTION_WEIGHTS = {
+  view: 1,
+  click: 1,
+  wishlist: 2,
+  compare: 2,
+  cart: 3,
+  purchase: 5,
+  dismiss: 0,
+};
+
+const INTERACTION_VERBS = {
+  view: 'viewed',
+  click: 'opened',
+  wishlist: 'saved to your wishlist',
+  compare: 'compared',
+  cart: 'added to cart',
+  purchase: 'bought',
+};
+
+const num = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const DEFAULT_WEIGHTS = {
+  cf: num(process.env.HYBRID_CF_WEIGHT, 0.6),
+  cbf: num(process.env.HYBRID_CBF_WEIGHT, 0.4),
+  recencyHalfLifeDays: num(process.env.HYBRID_RECENCY_HALF_LIFE_DAYS, 7),
+  seedCount: parseInt(process.env.HYBRID_SEED_COUNT) || 3,
+  wishlistSeedCount: parseInt(process.env.HYBRID_WISHLIST_SEED_COUNT ?? 3) || 0,
+};
+
+// 1.0 for the top of a ranked list, approaching 0 at the tail.
+const rankScore = (rank, length) => (length > 0 ? 1 - rank / length : 0);
+
+// Exponential decay; interactions without a timestamp count as fresh.
+const recencyDecay = (timestamp, halfLifeDays, now = Date.now()) => {
+  if (!timestamp || !halfLifeDays) return 1;
+  const ageDays = Math.max(0, now - new Date(timestamp).getTime()) / 86400000;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+};
+
+// Picks the most recent distinct items (interactions must be newest first)
+// and weights each one by interaction type and recency. When an item was hit
+// several times the strongest interaction wins.
+const buildSeeds = (interactions, weights = DEFAULT_WEIGHTS, now = Date.now()) => {
+  const seeds = new Map();
+  for (const it of interactions) {
+    const typeWeight = INTERACTION_WEIGHTS[it.interactionType] ?? 1;
+    if (!typeWeight) continue;
+    const weight = typeWeight * recencyDecay(it.timestamp, weights.recencyHalfLifeDays, now);
+    const existing = seeds.get(it.itemId);
+    if (existing) {
+      if (weight > existing.weight)
+        Object.assign(existing, { weight, interactionType: it.interactionType });
+      continue;
+    }
+    if (seeds.size >= weights.seedCount) continue;
+    seeds.set(it.itemId, { itemId: it.itemId, interactionType: it.interactionType, weight });
+  }
+  return [...seeds.values()];
+};
+
+// Appends the most recently wishlisted items that are not already seeds.
+const addWishlistSeeds = (seeds, wishlist = [], weights = DEFAULT_WEIGHTS, now = Date.now()) => {
+  const seen = new Set(seeds.map(s => s.itemId));
+  const extra = [...wishlist]
+    .sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt))
+    .filter(w => !seen.has(w.itemId))
+    .slice(0, weights.wishlistSeedCount)
+    .map(w => ({
+      itemId: w.itemId,
+      interactionType: 'wishlist',
+      weight: INTERACTION_WEIGHTS.wishlist * recencyDecay(w.addedAt, weights.recencyHalfLifeDays, now),
+    }));
+  return [...seeds, ...extra];
+};
+
+const describeSeed = (seed, names) => {
+  const name = names.get(seed.itemId) || 'an item';
+  const verb = INTERACTION_VERBS[seed.interactionType] || 'interacted with';
+  return `similar to ${name} you ${verb}`;
+};
+
+// Combines a ranked CF list with one ranked CBF list per seed into a single
+// scored list: score = cf * cfRank + cbf * Σ(seedWeight * cbfRank) / Σ seedWeight.
+// `cbfLists` is aligned with `seeds`; `names` maps itemId -> display name.
+const blendScores = ({ cf = [], seeds = [], cbfLists = [], names = new Map(), weights = DEFAULT_WEIGHTS }) => {
+  const entries = new Map();
+  const entry = itemId => {
+    if (!entries.has(itemId))
+      entries.set(itemId, { itemId, cf: 0, cbf: 0, cbfReasons: [] });
+    return entries.get(itemId);
+  };
+
+  const uniqueCf = [...new Set(cf)];
+  uniqueCf.forEach((id, rank) => {
+    entry(id).cf = rankScore(rank, uniqueCf.length);
+  });
+
+  const totalSeedWeight = seeds.reduce((sum, s) => sum + s.weight, 0) || 1;
+  seeds.forEach((seed, i) => {
+    const list = [...new Set(cbfLists[i] || [])];
+    list.forEach((id, rank) => {
+      if (id === seed.itemId) return;
+      const e = entry(id);
+      const contribution = (seed.weight * rankScore(rank, list.length)) / totalSeedWeight;
+      e.cbf += contribution;
+      e.cbfReasons.push({ contribution, text: describeSeed(seed, names) });
+    });
+  });
+
+  return [...entries.values()]
+    .map(e => {
+      const reasons = e.cbfReasons
+        .sort((a, b) => b.contribution - a.contribution)
+        .map(r => r.text);
+      if (e.cf > 0) reasons.push('popular with shoppers who share your taste');
+      return {
+        itemId: e.itemId,
+        score: +(weights.cf * e.cf + weights.cbf * e.cbf).toFixed(4),
+        reasons,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  INTERACTION_WEIGHTS,
+  DEFAULT_WEIGHTS,
+  recencyDecay,
+  buildSeeds,
+  addWishlistSeeds,
+  blendScores,
+};
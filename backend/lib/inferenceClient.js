@@ -0,0 +1,134 @@
+// ================================
+// Client for the Python inference service (FastAPI)
+// Per-call timeouts, bounded retries with jitter and a circuit breaker.
+// ================================
+
+const axios = require('axios');
+
+class InferenceError extends Error {
+  // code: 'not_found' | 'circuit_open' | 'unavailable'
+  constructor(code, message, status = null) {
+    super(message);
+    this.name = 'InferenceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: random(0, base * 2^attempt).
+const backoffDelay = (attempt, baseMs) => Math.random() * baseMs * 2 ** attempt;
+
+// Network errors, timeouts and 5xx are worth retrying; other 4xx are not.
+const isRetryable = err => !err.response || err.response.status >= 500;
+
+// closed -> (failureThreshold consecutive failures) -> open
+// open -> (cooldownMs elapsed) -> half_open: one trial call decides.
+const createCircuitBreaker = ({ failureThreshold = 5, cooldownMs = 30000 } = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  let lastError = null;
+
+  const canRequest = () => {
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+    if (state === 'half_open') {
+      if (trialInFlight) return false;
+      trialInFlight = true;
+      return true;
+    }
+    return state === 'closed';
+  };
+
+  const onSuccess = () => {
+    state = 'closed';
+    failures = 0;
+    trialInFlight = false;
+  };
+
+  const onFailure = err => {
+    lastError = { message: err.message, at: new Date().toISOString() };
+    failures++;
+    trialInFlight = false;
+    if (state === 'half_open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  const status = () => ({ state, consecutiveFailures: failures, lastError });
+
+  return { canRequest, onSuccess, onFailure, status };
+};
+
+const createInferenceClient = ({
+  baseUrl,
+  healthUrl,
+  timeoutMs = 2000,
+  retries = 2,
+  backoffBaseMs = 100,
+  k = 50,
+  breaker: breakerOptions,
+} = {}) => {
+  const breaker = createCircuitBreaker(breakerOptions);
+
+  const request = async url => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.get(url, { timeout: timeoutMs });
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) throw err;
+        await sleep(backoffDelay(attempt, backoffBaseMs));
+      }
+    }
+  };
+
+  // Resolves to the recommended itemIds. Rejects with an InferenceError:
+  // `not_found` is the model's 404 (user/item unknown to it, i.e. cold
+  // start) and does not count against the breaker; the others do.
+  const recommend = async (endpoint, param, options = {}) => {
+    if (!breaker.canRequest())
+      throw new InferenceError('circuit_open', 'Model service circuit is open.');
+
+    const url = `${baseUrl}${endpoint}/${encodeURIComponent(param)}?k=${options.k || k}`;
+    try {
+      const response = await request(url);
+      breaker.onSuccess();
+      if (!Array.isArray(response.data?.recommendations))
+        throw new InferenceError('unavailable', 'Malformed response from model service.');
+      return response.data.recommendations;
+    } catch (err) {
+      if (err instanceof InferenceError) {
+        breaker.onFailure(err);
+        throw err;
+      }
+      const status = err.response?.status ?? null;
+      if (status === 404) {
+        breaker.onSuccess();
+        throw new InferenceError('not_found', err.response.data?.detail || 'Not found.', 404);
+      }
+      breaker.onFailure(err);
+      throw new InferenceError('unavailable', err.message, status);
+    }
+  };
+
+  // Pings the service's health route directly (bypasses the breaker).
+  const checkHealth = async () => {
+    const started = Date.now();
+    try {
+      const response = await axios.get(healthUrl, { timeout: timeoutMs });
+      return { reachable: true, latencyMs: Date.now() - started, details: response.data };
+    } catch (err) {
+      return { reachable: false, latencyMs: Date.now() - started, error: err.message };
+    }
+  };
+
+  return { recommend, checkHealth, breakerStatus: breaker.status };
+};
+
+module.exports = { InferenceError, createCircuitBreaker, createInferenceClient };
@@ -0,0 +1,167 @@
+// ================================
+// In-process fallback recommender (used when the Python service is down)
+// Content similarity over Mobile specs + item-item co-occurrence.
+// ================================
+
+const {
+  toNumber,
+  parseMegapixels,
+  parseCores,
+  parseClockGHz,
+  osFamily,
+} = require('./specs');
+const { INTERACTION_WEIGHTS } = require('./hybrid');
+
+// Numeric features, each min-max scaled to [0, 1] over the catalog.
+const NUMERIC_FEATURES = {
+  rearCamera: m => parseMegapixels(m['Rear camera']),
+  frontCamera: m => parseMegapixels(m['Front camera']),
+  cores: m => parseCores(m.Processor),
+  clock: m => parseClockGHz(m.Processor),
+  battery: m => toNumber(m['Battery capacity (mAh)']),
+  screen: m => toNumber(m['Screen size (inches)']),
+};
+
+const CONTENT_WEIGHTS = { brand: 0.25, os: 0.15, numeric: 0.6 };
+const BLEND = { content: 0.7, cooccurrence: 0.3 };
+// Bounds the O(n²) pair counting for very active users.
+const MAX_ITEMS_PER_USER = 200;
+
+const createJsRecommender = () => {
+  let items = new Map();
+  let cooccurrence = new Map();
+  let builtAt = null;
+
+  // mobiles: raw Mobile docs; interactions: { userId, itemId, interactionType }
+  const build = ({ mobiles, interactions }) => {
+    const raw = mobiles.map(m => {
+      const features = {};
+      for (const [name, extract] of Object.entries(NUMERIC_FEATURES)) features[name] = extract(m);
+      return { itemId: m.url, brand: m.Brand, os: osFamily(m['Operating system']), features };
+    });
+
+    const bounds = {};
+    for (const name of Object.keys(NUMERIC_FEATURES)) {
+      const values = raw.map(r => r.features[name]).filter(v => v !== null);
+      bounds[name] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+    const nextItems = new Map();
+    for (const r of raw) {
+      const scaled = {};
+      for (const [name, value] of Object.entries(r.features)) {
+        const { min, max } = bounds[name];
+        scaled[name] = value === null ? null : max > min ? (value - min) / (max - min) : 0;
+      }
+      nextItems.set(r.itemId, { ...r, features: scaled });
+    }
+
+    // Per user, the strongest interaction per item; each item pair then
+    // gains the weaker of the two weights.
+    const byUser = new Map();
+    for (const it of interactions) {
+      const weight = INTERACTION_WEIGHTS[it.interactionType] ?? 1;
+      if (!weight || !nextItems.has(it.itemId)) continue;
+      if (!byUser.has(it.userId)) byUser.set(it.userId, new Map());
+      const userItems = byUser.get(it.userId);
+      userItems.set(it.itemId, Math.max(userItems.get(it.itemId) || 0, weight));
+    }
+    const nextCooc = new Map();
+    const bump = (a, b, w) => {
+      if (!nextCooc.has(a)) nextCooc.set(a, new Map());
+      const row = nextCooc.get(a);
+      row.set(b, (row.get(b) || 0) + w);
+    };
+    for (const userItems of byUser.values()) {
+      const entries = [...userItems].slice(0, MAX_ITEMS_PER_USER);
+      for (let i = 0; i < entries.length; i++)
+        for (let j = i + 1; j < entries.length; j++) {
+          const w = Math.min(entries[i][1], entries[j][1]);
+          bump(entries[i][0], entries[j][0], w);
+          bump(entries[j][0], entries[i][0], w);
+        }
+    }
+
+    items = nextItems;
+    cooccurrence = nextCooc;
+    builtAt = new Date();
+  };
+
+  const contentSimilarity = (a, b) => {
+    let diff = 0;
+    let shared = 0;
+    for (const name of Object.keys(NUMERIC_FEATURES)) {
+      const x = a.features[name];
+      const y = b.features[name];
+      if (x === null || y === null) continue;
+      diff += Math.abs(x - y);
+      shared++;
+    }
+    const numeric = shared ? 1 - diff / shared : 0;
+    return (
+      CONTENT_WEIGHTS.brand * (a.brand === b.brand ? 1 : 0) +
+      CONTENT_WEIGHTS.os * (a.os && a.os === b.os ? 1 : 0) +
+      CONTENT_WEIGHTS.numeric * numeric
+    );
+  };
+
+  // Spec similarity of two known items in [0, 1]; 0 when either is unknown.
+  const similarity = (a, b) => {
+    const x = items.get(a);
+    const y = items.get(b);
+    return x && y ? contentSimilarity(x, y) : 0;
+  };
+
+  // Ranked itemIds most similar to `itemId` (itself excluded), or [] if the
+  // item is unknown, mirroring the Python /cbf contract.
+  const similarItems = (itemId, k = 50) => {
+    const target = items.get(itemId);
+    if (!target) return [];
+    const row = cooccurrence.get(itemId) || new Map();
+    const maxCooc = Math.max(0, ...row.values()) || 1;
+
+    const scored = [];
+    for (const [id, item] of items) {
+      if (id === itemId) continue;
+      const score =
+        BLEND.content * contentSimilarity(target, item) +
+        BLEND.cooccurrence * ((row.get(id) || 0) / maxCooc);
+      scored.push({ id, score });
+    }
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+      .map(s => s.id);
+  };
+
+  // Collaborative stand-in for the CF model: items that co-occur with the
+  // user's own items, weighted by how strongly the user engaged with them.
+  const recommendForUser = (interactions, k = 50) => {
+    const own = new Map();
+    for (const it of interactions) {
+      const weight = INTERACTION_WEIGHTS[it.interactionType] ?? 1;
+      if (weight) own.set(it.itemId, Math.max(own.get(it.itemId) || 0, weight));
+    }
+    const scores = new Map();
+    for (const [itemId, weight] of own) {
+      for (const [other, count] of cooccurrence.get(itemId) || []) {
+        if (own.has(other)) continue;
+        scores.set(other, (scores.get(other) || 0) + weight * count);
+      }
+    }
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id]) => id);
+  };
+
+  const status = () => ({
+    ready: builtAt !== null,
+    builtAt,
+    items: items.size,
+    itemsWithCooccurrence: cooccurrence.size,
+  });
+
+  return { build, similarItems, recommendForUser, similarity, status, isReady: () => builtAt !== null };
+};
+
+module.exports = { createJsRecommender };
@@ -0,0 +1,206 @@
+// ================================
+// Catalog ingestion: validation/normalisation of Mobile documents and
+// parsers for the bulk import formats (Mongo export JSON and CSV)
+// ================================
+
+const {
+  toNumber,
+  parseMegapixels,
+  parseLaunchDate,
+  parseYesNo,
+} = require('./specs');
+const { POPULARITY_FIELDS } = require('./popularity');
+
+const STAR_FIELDS = ['5 Stars', '4 Stars', '3 Stars', '2 Stars', '1 Stars'];
+
+// Field -> kind. Spec values are parsed into typed values ("8-megapixel" ->
+// 8, "May 2012" -> a Date, "Yes" -> true); the spec parsers the catalog and
+// the recommenders use read both these and the dataset's original strings.
+const MOBILE_FIELDS = {
+  Brand: { kind: 'text', required: true },
+  Model: { kind: 'text', required: true },
+  url: { kind: 'url', required: true },
+  'Picture URL': { kind: 'url' },
+  'Operating system': { kind: 'text' },
+  Processor: { kind: 'text' },
+  'Rear camera': { kind: 'megapixel' },
+  'Front camera': { kind: 'megapixel' },
+  'Screen size (inches)': { kind: 'number', min: 0.5, max: 20 },
+  'Battery capacity (mAh)': { kind: 'number', min: 100, max: 100000 },
+  'Wi-Fi': { kind: 'yesNo' },
+  Bluetooth: { kind: 'yesNo' },
+  Touchscreen: { kind: 'yesNo' },
+  'Expandable storage': { kind: 'yesNo' },
+  Launched: { kind: 'launch' },
+  ...Object.fromEntries(STAR_FIELDS.map(f => [f, { kind: 'count' }])),
+};
+
+// Export bookkeeping that is silently dropped rather than reported.
+const IGNORED_FIELDS = new Set([
+  '_id', '__v', 'deleted', 'deletedAt', 'createdAt', 'updatedAt',
+  ...Object.keys(POPULARITY_FIELDS),
+]);
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+// Each normaliser returns { value } or { error }.
+const NORMALISERS = {
+  text: value => {
+    const text = String(value).trim();
+    return text.length <= 200 ? { value: text } : { error: 'must be at most 200 characters' };
+  },
+  url: value => {
+    try {
+      const url = new URL(String(value).trim());
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+      return { value: String(value).trim() };
+    } catch {
+      return { error: 'must be an http(s) URL' };
+    }
+  },
+  number: (value, { min, max }) => {
+    const number = toNumber(value);
+    if (number === null || number < min || number > max)
+      return { error: `must be a number between ${min} and ${max}` };
+    return { value: number };
+  },
+  count: value => {
+    const number = toNumber(value);
+    if (number === null || number < 0 || !Number.isInteger(number))
+      return { error: 'must be a non-negative integer' };
+    return { value: number };
+  },
+  // "8-megapixel", "16-megapixel (f/2.0)" or 8 -> 8; "No" / 0 -> 0 (no
+  // camera). "Yes" and "4-Ultrapixel" have no megapixel figure and are errors.
+  megapixel: value => {
+    const mp = /^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : parseMegapixels(value);
+    if (mp === null || !(mp >= 0 && mp <= 500))
+      return { error: 'must be a megapixel value like 8, "8-megapixel" or "No"' };
+    return { value: mp };
+  },
+  // Booleans, "Yes"/"No", "true"/"false" and "Yes, v 4.00" -> true/false; a
+  // bare version ("5.00", Bluetooth only in practice) means the feature exists.
+  yesNo: value => {
+    const text = String(value).trim();
+    const flag = typeof value === 'boolean' ? value : parseYesNo(text.split(',')[0]);
+    if (flag !== null) return { value: flag };
+    if (/^v?\s*\d+(\.\d+)?$/i.test(text)) return { value: true };
+    return { error: 'must be Yes or No' };
+  },
+  // "May 2012", "21st May 2012", "2015" and ISO dates -> a UTC Date.
+  launch: value => {
+    const date = parseLaunchDate(value);
+    if (!date) return { error: 'must be a launch date like "May 2012" or 2012-05-01' };
+    const year = date.getUTCFullYear();
+    if (year < 1990 || year > new Date().getUTCFullYear() + 1) return { error: 'has an implausible year' };
+    return { value: date };
+  },
+};
+
+// Validates one phone. With `partial` (updates) missing fields are left
+// alone; otherwise required fields must be present and star counts default
+// to 0. Returns { mobile, ignored } or { errors }.
+const normalizeMobile = (input, { partial = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input))
+    return { errors: ['Row must be an object.'] };
+
+  const errors = [];
+  const mobile = {};
+  const unset = [];
+  for (const [field, spec] of Object.entries(MOBILE_FIELDS)) {
+    const raw = input[field];
+    if (isBlank(raw)) {
+      if (partial && raw === undefined) continue;
+      if (spec.required) errors.push(`${field} is required.`);
+      else if (spec.kind === 'count' && !partial) mobile[field] = 0;
+      else if (partial) unset.push(field);
+      continue;
+    }
+    const result = NORMALISERS[spec.kind](raw, spec);
+    if (result.error) errors.push(`${field} ${result.error}.`);
+    else mobile[field] = result.value;
+  }
+
+  const ignored = Object.keys(input).filter(k => !(k in MOBILE_FIELDS) && !IGNORED_FIELDS.has(k));
+  return errors.length ? { errors } : { mobile, unset, ignored };
+};
+
+// --- Import formats ---
+// Mongo extended JSON wrappers -> plain values.
+const unwrapExtendedJson = value => {
+  if (Array.isArray(value)) return value.map(unwrapExtendedJson);
+  if (value && typeof value === 'object') {
+    if ('$oid' in value) return value.$oid;
+    if ('$date' in value) return new Date(value.$date?.$numberLong ? Number(value.$date.$numberLong) : value.$date);
+    for (const key of ['$numberInt', '$numberLong', '$numberDouble', '$numberDecimal'])
+      if (key in value) return Number(value[key]);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unwrapExtendedJson(v)]));
+  }
+  return value;
+};
+
+// A JSON array (mongoexport --jsonArray) or one document per line (the
+// mongoexport default).
+const parseMongoExport = text => {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed).map(unwrapExtendedJson);
+  return trimmed
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, i) => {
+      try {
+        return unwrapExtendedJson(JSON.parse(line));
+      } catch {
+        throw new SyntaxError(`Invalid JSON on line ${i + 1}.`);
+      }
+    });
+};
+
+// RFC 4180 CSV with a header row: quoted fields may contain commas, quotes
+// ("") and newlines. Every value is a string; normalizeMobile converts them.
+const parseCsv = text => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else field += ch;
+  }
+  if (quoted) throw new SyntaxError('Unterminated quoted field.');
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(r => r.some(v => v.trim() !== ''));
+  if (!header) return [];
+  const columns = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+};
+
+module.exports = {
+  MOBILE_FIELDS,
+  normalizeMobile,
+  parseMongoExport,
+  parseCsv,
+};
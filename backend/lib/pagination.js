@@ -0,0 +1,94 @@
+// ================================
+// Cursor pagination over result snapshots
+// A snapshot is the ordered list one browsing session pages through. It is
+// cached under an id; cursors point into it, so later pages neither repeat
+// nor skip phones when the candidates change underneath.
+// ================================
+
+const crypto = require('crypto');
+
+const newSnapshotId = () => crypto.randomUUID();
+
+// Request params that paging does not change; what is left (filters,
+// exclusion policy, diversity overrides) defines the list.
+const PAGING_PARAMS = ['cursor', 'page', 'shelf', 'limit'];
+
+const listQuery = (query = {}) =>
+  Object.fromEntries(Object.entries(query).filter(([key]) => !PAGING_PARAMS.includes(key)));
+
+// Opaque to clients: base64url JSON of the snapshot id, the offset, for
+// multi-shelf snapshots the shelf id, and the list's query so an expired
+// snapshot is rebuilt with the same filters.
+const encodeCursor = ({ snapshotId, offset, shelf = null, query = {} }) =>
+  Buffer.from(
+    JSON.stringify({
+      s: snapshotId,
+      o: offset,
+      ...(shelf && { h: shelf }),
+      ...(Object.keys(query).length && { q: query }),
+    })
+  ).toString('base64url');
+
+// A parsed query string: string values, or string lists for repeated keys.
+const isQueryObject = value =>
+  !!value && typeof value === 'object' && !Array.isArray(value) &&
+  Object.values(value).every(v => typeof v === 'string' || (Array.isArray(v) && v.every(i => typeof i === 'string')));
+
+// null for anything that is not a cursor we issued.
+const decodeCursor = cursor => {
+  try {
+    const { s, o, h, q = {} } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || !Number.isInteger(o) || o < 0 || !isQueryObject(q)) return null;
+    return { snapshotId: s, offset: o, shelf: typeof h === 'string' ? h : null, query: listQuery(q) };
+  } catch {
+    return null;
+  }
+};
+
+// One page of a snapshot's items. `total` counts the items in the snapshot,
+// so callers extend the snapshot first when the page reaches its end. Until
+// the snapshot is `complete` more may be found, and `totalIsEstimate` says so.
+const paginate = (items, { snapshotId, offset, limit, shelf = null, query = {}, complete = true }) => {
+  const end = offset + limit;
+  const hasMore = end < items.length;
+  return {
+    items: items.slice(offset, end),
+    page: Math.floor(offset / limit) + 1,
+    limit,
+    total: items.length,
+    totalIsEstimate: !complete,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor({ snapshotId, offset: end, shelf, query }) : null,
+    prevCursor: offset > 0 ? encodeCursor({ snapshotId, offset: Math.max(offset - limit, 0), shelf, query }) : null,
+  };
+};
+
+// Appends the entries of a deeper rebuild that the snapshot lacks, keeping
+// the order of the pages already served.
+const appendNew = (entries, more) => {
+  const seen = new Set(entries.map(e => e.itemId));
+  return [...entries, ...more.filter(e => !seen.has(e.itemId))];
+};
+
+// Fetches deeper lists until the snapshot holds more than `end` entries or
+// nothing more can be found. build(depth) -> { type, entries, complete }.
+// New phones are appended, so pages already served keep their order; a
+// deeper list of another type (e.g. the model service went down) ends the
+// snapshot instead, as does reaching maxDepth.
+const extendSnapshot = async (snapshot, end, { build, maxDepth }) => {
+  let current = snapshot;
+  while (!current.complete && current.entries.length <= end) {
+    const depth = Math.min(current.depth * 2, maxDepth);
+    const deeper = await build(depth);
+    const sameType = deeper.type === current.type;
+    current = {
+      ...current,
+      depth,
+      entries: sameType ? appendNew(current.entries, deeper.entries) : current.entries,
+      complete: !sameType || deeper.complete || depth >= maxDepth,
+    };
+  }
+  return current;
+};
+
+module.exports = { newSnapshotId, listQuery, encodeCursor, decodeCursor, paginate, appendNew, extendSnapshot };
@@ -0,0 +1,130 @@
+// ================================
+// Popularity scores for the fallback shelf and the top rated / trending /
+// new launches shelves: Bayesian average rating, interaction velocity over
+// sliding windows and launch freshness.
+// ================================
+
+const { INTERACTION_WEIGHTS } = require('./hybrid');
+const { deriveSpecFields } = require('./specFields');
+
+const STAR_LEVELS = [5, 4, 3, 2, 1];
+const DAY_MS = 86400000;
+
+// Sliding windows, in days, and how much each one's daily rate counts
+// towards the trending score.
+const VELOCITY_WINDOWS = { day: 1, week: 7, month: 30 };
+const TRENDING_WEIGHTS = { day: 0.5, week: 0.3, month: 0.2 };
+// Blend of the normalised components into `popularityScore`.
+const POPULARITY_WEIGHTS = { rating: 0.6, trending: 0.25, freshness: 0.15 };
+// Phones with fewer ratings than this share of rated phones are pulled
+// hardest towards the catalog mean.
+const PRIOR_QUANTILE = 0.25;
+const FRESHNESS_HALF_LIFE_DAYS = 365;
+
+// Field -> Mongoose type, spread into MobileSchema. Maintained by the
+// popularity refresh rather than on every write.
+const POPULARITY_FIELDS = {
+  bayesianRating: Number,
+  velocity: { day: Number, week: Number, month: Number },
+  trendingScore: Number,
+  freshness: Number,
+  popularityScore: Number,
+  popularityUpdatedAt: Date,
+};
+
+const POPULARITY_INDEXES = [
+  { popularityScore: -1 },
+  { bayesianRating: -1 },
+  { trendingScore: -1 },
+];
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const quantile = (sorted, q) => (sorted.length ? sorted[Math.floor((sorted.length - 1) * q)] : 0);
+
+// Star histogram -> { count, sum }.
+const ratingTotals = mobile => {
+  const counts = STAR_LEVELS.map(s => Number(mobile[`${s} Stars`]) || 0);
+  return {
+    count: counts.reduce((a, b) => a + b, 0),
+    sum: counts.reduce((a, n, i) => a + n * STAR_LEVELS[i], 0),
+  };
+};
+
+// (C * m + sum of stars) / (C + count): few ratings stay near the prior
+// mean m, many ratings converge on the phone's own average.
+const bayesianRating = ({ count, sum }, { priorMean, priorWeight }) =>
+  (priorWeight * priorMean + sum) / (priorWeight + count);
+
+// interactions: { itemId, interactionType, timestamp } -> Map(itemId ->
+// weighted counts per window). Events without a timestamp are skipped.
+const velocityFromInteractions = (interactions, now = Date.now()) => {
+  const velocity = new Map();
+  const longest = Math.max(...Object.values(VELOCITY_WINDOWS));
+  for (const it of interactions) {
+    const weight = INTERACTION_WEIGHTS[it.interactionType] ?? 1;
+    if (!weight || !it.timestamp) continue;
+    const ageDays = (now - new Date(it.timestamp).getTime()) / DAY_MS;
+    if (!(ageDays >= 0 && ageDays <= longest)) continue;
+    if (!velocity.has(it.itemId)) velocity.set(it.itemId, { day: 0, week: 0, month: 0 });
+    const counts = velocity.get(it.itemId);
+    for (const [window, days] of Object.entries(VELOCITY_WINDOWS)) if (ageDays <= days) counts[window] += weight;
+  }
+  return velocity;
+};
+
+// Weighted interactions per day, blended over the windows.
+const trendingScore = counts =>
+  Object.entries(TRENDING_WEIGHTS).reduce(
+    (sum, [window, weight]) => sum + weight * ((counts?.[window] || 0) / VELOCITY_WINDOWS[window]),
+    0
+  );
+
+// mobiles: Mobile docs; velocity: from velocityFromInteractions. Returns
+// Map(url -> POPULARITY_FIELDS values). Freshness is measured from the
+// newest launch in the catalog, so an old catalog still separates its
+// recent phones from its oldest ones.
+const computePopularity = (mobiles, velocity = new Map(), now = new Date()) => {
+  const totals = mobiles.map(ratingTotals);
+  const rated = totals.filter(t => t.count > 0);
+  const priorMean = rated.length
+    ? rated.reduce((a, t) => a + t.sum, 0) / rated.reduce((a, t) => a + t.count, 0)
+    : 3;
+  const priorWeight = Math.max(quantile(rated.map(t => t.count).sort((a, b) => a - b), PRIOR_QUANTILE), 1);
+
+  const launches = mobiles.map(m => (m.launchDate !== undefined ? m.launchDate : deriveSpecFields(m).launchDate));
+  const newest = Math.max(0, ...launches.filter(Boolean).map(d => new Date(d).getTime()));
+  const trending = mobiles.map(m => trendingScore(velocity.get(m.url)));
+  const maxTrending = Math.max(0, ...trending);
+
+  return new Map(
+    mobiles.map((m, i) => {
+      const rating = bayesianRating(totals[i], { priorMean, priorWeight });
+      const launched = launches[i] ? new Date(launches[i]).getTime() : null;
+      const freshness = launched ? Math.pow(0.5, (newest - launched) / DAY_MS / FRESHNESS_HALF_LIFE_DAYS) : 0;
+      const score =
+        POPULARITY_WEIGHTS.rating * ((rating - 1) / 4) +
+        POPULARITY_WEIGHTS.trending * (maxTrending ? trending[i] / maxTrending : 0) +
+        POPULARITY_WEIGHTS.freshness * freshness;
+      return [
+        m.url,
+        {
+          bayesianRating: round(rating),
+          velocity: velocity.get(m.url) || { day: 0, week: 0, month: 0 },
+          trendingScore: round(trending[i]),
+          freshness: round(freshness),
+          popularityScore: round(score),
+          popularityUpdatedAt: now,
+        },
+      ];
+    })
+  );
+};
+
+module.exports = {
+  POPULARITY_FIELDS,
+  POPULARITY_INDEXES,
+  VELOCITY_WINDOWS,
+  velocityFromInteractions,
+  computePopularity,
+};
@@ -0,0 +1,164 @@
+// ================================
+// User profile preferences (onboarding) and cold-start ranking
+// ================================
+
+const OS_FAMILIES = ['Android', 'iOS', 'Windows', 'BlackBerry', 'Proprietary'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toStringList = value =>
+  (Array.isArray(value) ? value : [])
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => v.trim());
+
+const toNumber = value => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : NaN;
+};
+
+// Validates a PUT /api/users/me body. Returns { profile } or { errors }.
+const normalizeProfile = body => {
+  const errors = [];
+  const number = (name, value) => {
+    const parsed = toNumber(value);
+    if (Number.isNaN(parsed)) errors.push(`${name} must be a non-negative number.`);
+    return Number.isNaN(parsed) ? null : parsed;
+  };
+
+  const preferredOS = toStringList(body.preferredOS);
+  const unknownOS = preferredOS.filter(os => !OS_FAMILIES.includes(os));
+  if (unknownOS.length)
+    errors.push(`preferredOS must be among: ${OS_FAMILIES.join(', ')}.`);
+
+  const profile = {
+    preferredBrands: [...new Set(toStringList(body.preferredBrands))],
+    preferredOS: [...new Set(preferredOS)],
+    // Stored only: the catalog has no prices yet.
+    budget: {
+      min: number('budget.min', body.budget?.min),
+      max: number('budget.max', body.budget?.max),
+    },
+    minBattery: number('minBattery', body.minBattery),
+    screen: {
+      min: number('screen.min', body.screen?.min),
+      max: number('screen.max', body.screen?.max),
+    },
+  };
+
+  for (const key of ['budget', 'screen']) {
+    const { min, max } = profile[key];
+    if (min !== null && max !== null && min > max)
+      errors.push(`${key}.min must not exceed ${key}.max.`);
+  }
+
+  return errors.length ? { errors } : { profile };
+};
+
+const hasPreferences = profile =>
+  !!profile &&
+  (profile.preferredBrands?.length > 0 ||
+    profile.preferredOS?.length > 0 ||
+    profile.minBattery != null ||
+    profile.screen?.min != null ||
+    profile.screen?.max != null);
+
+// Brands and OS families from recent searches (newest first) join the soft
+// preferences; hard constraints are left to the profile.
+const withSearchIntent = (profile, searches = []) => {
+  const brands = searches.flatMap(s => s.brands || []);
+  const osFamilies = searches.map(s => s.osFamily).filter(os => OS_FAMILIES.includes(os));
+  if (!brands.length && !osFamilies.length) return profile;
+  return {
+    ...(profile || {}),
+    preferredBrands: [...new Set([...(profile?.preferredBrands || []), ...brands])],
+    preferredOS: [...new Set([...(profile?.preferredOS || []), ...osFamilies])],
+  };
+};
+
+// --- Hard constraints: battery and screen ranges ---
+const matchesConstraints = (mobile, profile) => {
+  const battery = mobile['Battery capacity (mAh)'];
+  const screen = mobile['Screen size (inches)'];
+  if (profile.minBattery != null && !(battery >= profile.minBattery)) return false;
+  if (profile.screen?.min != null && !(screen >= profile.screen.min)) return false;
+  if (profile.screen?.max != null && !(screen <= profile.screen.max)) return false;
+  return true;
+};
+
+// --- Soft preferences: one point per matching brand / OS family ---
+const preferenceScore = (mobile, profile) => {
+  let score = 0;
+  if (profile.preferredBrands?.includes(mobile.Brand)) score += 1;
+  const os = mobile['Operating system'] || '';
+  if (profile.preferredOS?.some(family => os.toLowerCase().startsWith(family.toLowerCase())))
+    score += 1;
+  return score;
+};
+
+// Re-ranker for hydrated candidate lists: drops items outside the hard ranges
+// and moves preferred brands/OS up, keeping the original order within ties.
+const preferenceRanker = profile => {
+  if (!hasPreferences(profile)) return null;
+  return items =>
+    items
+      .filter(m => matchesConstraints(m, profile))
+      .map((m, i) => ({ m, i, score: preferenceScore(m, profile) }))
+      .sort((a, b) => b.score - a.score || a.i - b.i)
+      .map(r => r.m);
+};
+
+// The same rules as aggregation stages, for the popularity fallback.
+// Adds `preferenceScore`; callers sort on it before their own score.
+const preferenceStages = profile => {
+  if (!hasPreferences(profile)) return [];
+  const match = {};
+  if (profile.minBattery != null)
+    match['Battery capacity (mAh)'] = { $gte: profile.minBattery };
+  const screen = {};
+  if (profile.screen?.min != null) screen.$gte = profile.screen.min;
+  if (profile.screen?.max != null) screen.$lte = profile.screen.max;
+  if (Object.keys(screen).length) match['Screen size (inches)'] = screen;
+
+  const osPattern = profile.preferredOS?.length
+    ? `^(${profile.preferredOS.map(escapeRegex).join('|')})`
+    : null;
+
+  return [
+    { $match: match },
+    {
+      $addFields: {
+        preferenceScore: {
+          $add: [
+            { $cond: [{ $in: ['$Brand', profile.preferredBrands || []] }, 1, 0] },
+            osPattern
+              ? {
+                  $cond: [
+                    {
+                      $regexMatch: {
+                        input: { $ifNull: ['$Operating system', ''] },
+                        regex: osPattern,
+                        options: 'i',
+                      },
+                    },
+                    1,
+                    0,
+                  ],
+                }
+              : 0,
+          ],
+        },
+      },
+    },
+  ];
+};
+
+module.exports = {
+  OS_FAMILIES,
+  normalizeProfile,
+  hasPreferences,
+  withSearchIntent,
+  preferenceScore,
+  preferenceRanker,
+  preferenceStages,
+};
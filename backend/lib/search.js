@@ -0,0 +1,280 @@
+// ================================
+// Catalog search for GET /api/mobiles/search
+// In-memory inverted index over brand, model, OS and processor with
+// prefix/typo-tolerant term matching, spec keywords ("5000mAh", "6 inch",
+// "octa core", "android") and relevance blended with popularity.
+// ================================
+
+const { deriveSpecFields } = require('./specFields');
+
+const FIELD_WEIGHTS = { Model: 3, Brand: 2.5, 'Operating system': 1, Processor: 1 };
+// Shown in results; only these carry highlight ranges.
+const HIGHLIGHT_FIELDS = ['Brand', 'Model'];
+const MATCH_SCORES = { exact: 1, prefix: 0.7, typo1: 0.5, typo2: 0.3 };
+const SEARCH_BLEND = { relevance: 0.85, popularity: 0.15 };
+// Bonus when the full "Brand Model" name starts with the query text.
+const NAME_PREFIX_BONUS = 2;
+
+const OS_KEYWORDS = { android: 'Android', ios: 'iOS', windows: 'Windows', blackberry: 'BlackBerry' };
+const CORE_KEYWORDS = { single: 1, dual: 2, quad: 4, hexa: 6, octa: 8, deca: 10 };
+// Screen sizes within this many inches of the asked size match.
+const SCREEN_TOLERANCE = 0.25;
+
+// Spec keywords, applied in order; each match is cut from the text query.
+const SPEC_PATTERNS = [
+  { pattern: /(\d{3,5})\s*mah\b/g, apply: (f, m) => (f.minBattery = Number(m[1])) },
+  { pattern: /(\d+(?:\.\d+)?)\s*(?:"|''|inch(?:es)?\b|in\b)/g, apply: (f, m) => (f.screen = Number(m[1])) },
+  { pattern: /(\d+(?:\.\d+)?)\s*(?:mp|megapixels?)\b/g, apply: (f, m) => (f.minRearCamera = Number(m[1])) },
+  { pattern: /(\d+(?:\.\d+)?)\s*ghz\b/g, apply: (f, m) => (f.minClockGHz = Number(m[1])) },
+  {
+    pattern: new RegExp(`\\b(${Object.keys(CORE_KEYWORDS).join('|')})[\\s-]?core\\b`, 'g'),
+    apply: (f, m) => (f.cores = CORE_KEYWORDS[m[1]]),
+  },
+  {
+    pattern: new RegExp(`\\b(${Object.keys(OS_KEYWORDS).join('|')})\\b`, 'g'),
+    apply: (f, m) => (f.osFamily = OS_KEYWORDS[m[1]]),
+  },
+];
+
+// Words with their offsets; letter/digit runs inside a word ("note5",
+// "s9") are indexed as parts too so "note 5" and "note5" meet.
+const tokenize = text => {
+  const tokens = [];
+  const source = String(text ?? '').toLowerCase();
+  for (const word of source.matchAll(/[a-z0-9]+/g)) {
+    tokens.push({ term: word[0], start: word.index, end: word.index + word[0].length });
+    const parts = [...word[0].matchAll(/[a-z]+|[0-9]+/g)];
+    if (parts.length > 1)
+      for (const part of parts)
+        tokens.push({ term: part[0], start: word.index + part.index, end: word.index + part.index + part[0].length });
+  }
+  return tokens;
+};
+
+// Splits a raw query into spec filters and the remaining text terms.
+const parseQuery = query => {
+  let text = String(query ?? '').toLowerCase();
+  const filters = {};
+  for (const { pattern, apply } of SPEC_PATTERNS)
+    text = text.replace(pattern, (...match) => {
+      apply(filters, match);
+      return ' ';
+    });
+  // Only whole words are query terms; parts are an index-side convenience.
+  const terms = [...new Set([...text.matchAll(/[a-z0-9]+/g)].map(m => m[0]))];
+  return { text: text.trim().replace(/\s+/g, ' '), terms, filters };
+};
+
+const matchesFilters = (doc, filters) => {
+  if (filters.minBattery != null && !(doc.battery >= filters.minBattery)) return false;
+  if (filters.screen != null && !(Math.abs(doc.screen - filters.screen) <= SCREEN_TOLERANCE)) return false;
+  if (filters.minRearCamera != null && !(doc.rearCameraMp >= filters.minRearCamera)) return false;
+  if (filters.minClockGHz != null && !(doc.cpuClockGHz >= filters.minClockGHz)) return false;
+  if (filters.cores != null && doc.cpuCores !== filters.cores) return false;
+  if (filters.osFamily && doc.osFamily?.toLowerCase() !== filters.osFamily.toLowerCase()) return false;
+  return true;
+};
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Short words must be exact (or a prefix); longer ones tolerate 1-2 typos.
+const maxTypos = term => (term.length < 4 || /\d/.test(term) ? 0 : term.length < 8 ? 1 : 2);
+
+const createSearchIndex = () => {
+  let docs = [];
+  let postings = new Map();
+  let brands = new Map();
+  let maxRatingCount = 0;
+  let builtAt = null;
+
+  // mobiles: raw Mobile docs.
+  const build = mobiles => {
+    const nextPostings = new Map();
+    docs = mobiles.map((m, id) => {
+      const derived = deriveSpecFields(m);
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS))
+        for (const { term } of tokenize(m[field])) {
+          if (!nextPostings.has(term)) nextPostings.set(term, new Map());
+          const posting = nextPostings.get(term);
+          posting.set(id, Math.max(posting.get(id) || 0, weight));
+        }
+      return {
+        url: m.url,
+        Brand: m.Brand,
+        Model: m.Model,
+        'Picture URL': m['Picture URL'],
+        name: `${m.Brand} ${m.Model}`.toLowerCase(),
+        battery: m['Battery capacity (mAh)'],
+        screen: m['Screen size (inches)'],
+        rearCameraMp: derived.rearCameraMp,
+        cpuClockGHz: derived.cpuClockGHz,
+        cpuCores: derived.cpuCores,
+        osFamily: derived.osFamily,
+        ratingCount: derived.ratingCount,
+      };
+    });
+    postings = nextPostings;
+    brands = new Map(mobiles.filter(m => m.Brand).map(m => [m.Brand.toLowerCase(), m.Brand]));
+    maxRatingCount = Math.max(0, ...docs.map(d => d.ratingCount || 0));
+    builtAt = new Date();
+  };
+
+  // Index terms a query term matches, with how well: term -> match score.
+  const expandTerm = term => {
+    const matches = new Map();
+    const typos = maxTypos(term);
+    for (const candidate of postings.keys()) {
+      if (candidate === term) matches.set(candidate, MATCH_SCORES.exact);
+      else if (candidate.startsWith(term)) matches.set(candidate, MATCH_SCORES.prefix);
+      else if (typos) {
+        const distance = editDistance(term, candidate, typos);
+        if (distance <= typos) matches.set(candidate, distance === 1 ? MATCH_SCORES.typo1 : MATCH_SCORES.typo2);
+      }
+    }
+    return matches;
+  };
+
+  // Per query term: doc id -> { score, term } of its best matching index term.
+  const scoreTerm = term => {
+    const hits = new Map();
+    for (const [candidate, matchScore] of expandTerm(term))
+      for (const [id, fieldWeight] of postings.get(candidate)) {
+        const score = matchScore * fieldWeight;
+        if (score > (hits.get(id)?.score || 0))
+          hits.set(id, { score, term: candidate, prefix: matchScore === MATCH_SCORES.prefix ? term.length : null });
+      }
+    return hits;
+  };
+
+  // [start, end] ranges of the matched words in the shown fields.
+  const highlight = (doc, matched) => {
+    const ranges = {};
+    for (const field of HIGHLIGHT_FIELDS) {
+      const fieldRanges = [];
+      for (const { term, start, end } of tokenize(doc[field])) {
+        if (!matched.has(term)) continue;
+        const prefix = matched.get(term);
+        fieldRanges.push([start, prefix ? start + prefix : end]);
+      }
+      ranges[field] = mergeRanges(fieldRanges);
+    }
+    return ranges;
+  };
+
+  // Brands named in the query, typos allowed ("samsng" -> Samsung).
+  const brandsIn = terms => {
+    const found = new Set();
+    for (const term of terms)
+      for (const [key, brand] of brands)
+        if (editDistance(term, key, maxTypos(term)) <= maxTypos(term)) found.add(brand);
+    return [...found];
+  };
+
+  // Every text term must match; when that finds nothing the terms are ORed
+  // and documents are scored by how many of them they matched.
+  const search = (query, { limit = 10 } = {}) => {
+    const parsed = parseQuery(query);
+    const { filters } = parsed;
+    parsed.brands = brandsIn(parsed.terms);
+    const hasFilters = Object.keys(filters).length > 0;
+    if (!parsed.terms.length && !hasFilters) return { parsed, total: 0, results: [] };
+
+    // A word with no match is retried as its letter/digit parts ("note5").
+    const terms = [];
+    const termHits = [];
+    for (const term of parsed.terms) {
+      const hits = scoreTerm(term);
+      const parts = term.match(/[a-z]+|[0-9]+/g);
+      if (hits.size || parts.length < 2) {
+        terms.push(term);
+        termHits.push(hits);
+      } else
+        for (const part of parts) {
+          terms.push(part);
+          termHits.push(scoreTerm(part));
+        }
+    }
+    const candidateIds = new Set();
+    if (terms.length) termHits.forEach(hits => hits.forEach((_, id) => candidateIds.add(id)));
+    else docs.forEach((_, id) => candidateIds.add(id));
+
+    const score = requireAll => {
+      const scored = [];
+      for (const id of candidateIds) {
+        const doc = docs[id];
+        if (!matchesFilters(doc, filters)) continue;
+        const hits = termHits.map(h => h.get(id)).filter(Boolean);
+        if (requireAll && hits.length < terms.length) continue;
+        let relevance = hits.reduce((sum, h) => sum + h.score, 0);
+        if (terms.length && doc.name.startsWith(parsed.text)) relevance += NAME_PREFIX_BONUS;
+        scored.push({ id, relevance, hits });
+      }
+      return scored;
+    };
+
+    let scored = score(true);
+    if (!scored.length && terms.length > 1) scored = score(false);
+
+    const maxRelevance = Math.max(0, ...scored.map(s => s.relevance));
+    const popularityNorm = Math.log1p(maxRatingCount) || 1;
+    const ranked = scored
+      .map(s => {
+        const relevance = maxRelevance ? s.relevance / maxRelevance : 0;
+        const popularity = Math.log1p(docs[s.id].ratingCount || 0) / popularityNorm;
+        return { ...s, score: SEARCH_BLEND.relevance * relevance + SEARCH_BLEND.popularity * popularity };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const results = ranked.slice(0, limit).map(s => {
+      const doc = docs[s.id];
+      const matched = new Map(s.hits.map(h => [h.term, h.prefix]));
+      return {
+        url: doc.url,
+        Brand: doc.Brand,
+        Model: doc.Model,
+        'Picture URL': doc['Picture URL'],
+        score: Math.round(s.score * 1000) / 1000,
+        highlights: highlight(doc, matched),
+      };
+    });
+    return { parsed, total: ranked.length, results };
+  };
+
+  return {
+    build,
+    search,
+    isReady: () => builtAt !== null,
+    status: () => ({ ready: builtAt !== null, items: docs.length, terms: postings.size, builtAt }),
+  };
+};
+
+const mergeRanges = ranges => {
+  const merged = [];
+  for (const range of ranges.sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+};
+
+module.exports = { parseQuery, editDistance, createSearchIndex };
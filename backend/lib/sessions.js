@@ -0,0 +1,33 @@
+// ================================
+// Refresh-token rotation for /api/auth/refresh
+// Hashing, successor derivation and reuse detection; the route does the I/O.
+// ================================
+
+const crypto = require('crypto');
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// The token a refresh token rotates into, derived rather than stored so a
+// concurrent refresh with the same token can be handed the same successor.
+const successorToken = (refreshToken, secret) =>
+  crypto.createHmac('sha256', secret).update(String(refreshToken)).digest('hex');
+
+// Matches a token only while it can still be rotated; claiming it with
+// { $set: { revokedAt } } in the same findOneAndUpdate makes rotation atomic.
+const claimableToken = (tokenHash, now) => ({ tokenHash, revokedAt: null, expiresAt: { $gt: now } });
+
+// Why a token could not be claimed. stored: its record, or null.
+//   'invalid' - unknown or expired
+//   'grace'   - rotated into `successor` within graceMs (another tab got
+//               there first); the successor may be handed out again
+//   'reused'  - revoked earlier or by logout: the token was copied
+const classifyUnclaimed = (stored, { now, successor, graceMs }) => {
+  if (!stored || stored.expiresAt <= now) return 'invalid';
+  const rotatedJustNow =
+    !!stored.revokedAt && stored.replacedBy === hashToken(successor) && now - stored.revokedAt <= graceMs;
+  return rotatedJustNow ? 'grace' : 'reused';
+};
+
+module.exports = { hashToken, newRefreshToken, successorToken, claimableToken, classifyUnclaimed };
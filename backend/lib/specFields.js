@@ -0,0 +1,110 @@
+// ================================
+// Typed spec fields derived from the raw Mobile strings
+// Stored next to the raw fields so Mongo can filter, sort and index them.
+// ================================
+
+const {
+  toNumber,
+  parseMegapixels,
+  parseCores,
+  parseClockGHz,
+  parseLaunchDate,
+  parseYesNo,
+  osFamily,
+} = require('./specs');
+
+// Bump when the derivation changes; the startup backfill and
+// scripts/migrateSpecs.js then recompute every phone.
+const SPEC_FIELDS_VERSION = 1;
+
+// Field -> Mongoose type, spread into MobileSchema.
+const DERIVED_FIELDS = {
+  rearCameraMp: Number,
+  frontCameraMp: Number,
+  cpuCores: Number,
+  cpuClockGHz: Number,
+  launchDate: Date,
+  launchYear: Number,
+  osFamily: String,
+  wifi: Boolean,
+  bluetooth: Boolean,
+  touchscreen: Boolean,
+  expandableStorage: Boolean,
+  ratingCount: Number,
+  averageRating: Number,
+  specsVersion: Number,
+};
+
+const SPEC_INDEXES = [
+  { rearCameraMp: 1 },
+  { frontCameraMp: 1 },
+  { cpuCores: 1 },
+  { launchDate: -1 },
+  { averageRating: -1 },
+  { osFamily: 1 },
+];
+
+const STAR_LEVELS = [5, 4, 3, 2, 1];
+
+// "Yes, v 4.00" -> true; a bare version ("5.00") also means the feature exists.
+const flag = value => {
+  const text = String(value ?? '').trim();
+  const parsed = parseYesNo(typeof value === 'boolean' ? value : text.split(',')[0]);
+  if (parsed !== null) return parsed;
+  return /^v?\s*\d+(\.\d+)?$/i.test(text) ? true : null;
+};
+
+const deriveSpecFields = mobile => {
+  const stars = STAR_LEVELS.map(s => toNumber(mobile[`${s} Stars`]) || 0);
+  const ratingCount = stars.reduce((sum, n) => sum + n, 0);
+  const starSum = stars.reduce((sum, n, i) => sum + n * STAR_LEVELS[i], 0);
+  const launchDate = parseLaunchDate(mobile.Launched);
+
+  return {
+    // "Yes" / "4-Ultrapixel" (camera without a megapixel figure) give null.
+    rearCameraMp: parseMegapixels(mobile['Rear camera']),
+    frontCameraMp: parseMegapixels(mobile['Front camera']),
+    cpuCores: parseCores(mobile.Processor),
+    cpuClockGHz: parseClockGHz(mobile.Processor),
+    launchDate,
+    launchYear: launchDate ? launchDate.getUTCFullYear() : null,
+    osFamily: osFamily(mobile['Operating system']),
+    wifi: flag(mobile['Wi-Fi']),
+    bluetooth: flag(mobile.Bluetooth),
+    touchscreen: flag(mobile.Touchscreen),
+    expandableStorage: flag(mobile['Expandable storage']),
+    ratingCount,
+    averageRating: ratingCount ? Math.round((starSum / ratingCount) * 100) / 100 : null,
+    specsVersion: SPEC_FIELDS_VERSION,
+  };
+};
+
+// Recomputes the derived fields for phones matching `filter` (a native
+// driver collection, so soft-deleted phones are included). Without `force`
+// only phones derived by an older version are touched.
+const backfillSpecFields = async (collection, { filter = {}, force = false, batchSize = 500 } = {}) => {
+  const query = force ? filter : { ...filter, specsVersion: { $ne: SPEC_FIELDS_VERSION } };
+  let scanned = 0;
+  let updated = 0;
+  let ops = [];
+  const flush = async () => {
+    if (ops.length) updated += (await collection.bulkWrite(ops, { ordered: false })).modifiedCount;
+    ops = [];
+  };
+
+  for await (const doc of collection.find(query)) {
+    scanned++;
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: deriveSpecFields(doc) } } });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+  return { scanned, updated };
+};
+
+module.exports = {
+  SPEC_FIELDS_VERSION,
+  DERIVED_FIELDS,
+  SPEC_INDEXES,
+  deriveSpecFields,
+  backfillSpecFields,
+};
@@ -0,0 +1,85 @@
+// ================================
+// Parsers for the raw spec strings in the mobiles dataset
+// ================================
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CORE_WORDS = {
+  one: 1, single: 1, dual: 2, tri: 3, quad: 4, hexa: 6, octa: 8, deca: 10,
+};
+
+const toNumber = value => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const parsed = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// "8-megapixel", "16-megapixel (f/2.0)", "13-megapixel + 2-megapixel" -> 8, 16, 13
+// (the primary sensor); "No" -> 0.
+const parseMegapixels = value => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  if (/^no$/i.test(text)) return 0;
+  const match = text.match(/(\d+(?:\.\d+)?)\s*-?\s*megapixel/i);
+  return match ? parseFloat(match[1]) : null;
+};
+
+// "1.2GHz quad-core" -> 4, "octa-core" -> 8, "one-core" -> 1
+const parseCores = value => {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').toLowerCase().match(/(\w+)-core/);
+  if (!match) return null;
+  return CORE_WORDS[match[1]] ?? (parseInt(match[1]) || null);
+};
+
+// "1.2GHz quad-core" -> 1.2, "800MHz" -> 0.8
+const parseClockGHz = value => {
+  const text = String(value ?? '');
+  const ghz = text.match(/(\d+(?:\.\d+)?)\s*ghz/i);
+  if (ghz) return parseFloat(ghz[1]);
+  const mhz = text.match(/(\d+(?:\.\d+)?)\s*mhz/i);
+  return mhz ? parseFloat(mhz[1]) / 1000 : null;
+};
+
+// Index (0-11) of the month named in the text, or -1.
+const findMonth = text => MONTHS.findIndex(m => new RegExp(`\\b${m}`, 'i').test(text));
+
+// "May 2012" / "21st May 2012" -> Date(2012-05-01 UTC), "2015" -> Date(2015-01-01 UTC),
+// ISO dates ("2012-05-14") as-is.
+const parseLaunchDate = value => {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  const text = String(value ?? '').trim();
+  if (/^\d{4}-\d{2}(-\d{2})?(T|$)/.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+  const year = text.match(/\b(19|20)\d{2}\b/);
+  if (!year) return null;
+  return new Date(Date.UTC(parseInt(year[0]), Math.max(findMonth(text), 0), 1));
+};
+
+// "Yes"/"No" (any case), booleans and 1/0 -> true/false; anything else -> null
+const parseYesNo = value => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '').trim().toLowerCase();
+  if (['yes', 'true', '1', 'y'].includes(text)) return true;
+  if (['no', 'false', '0', 'n'].includes(text)) return false;
+  return null;
+};
+
+// "Android 8.1 Oreo" -> "Android", "iOS 9" -> "iOS"
+const osFamily = value => {
+  const first = String(value ?? '').trim().split(/\s+/)[0];
+  return first || null;
+};
+
+module.exports = {
+  toNumber,
+  parseMegapixels,
+  parseCores,
+  parseClockGHz,
+  findMonth,
+  parseLaunchDate,
+  parseYesNo,
+  osFamily,
+};
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+// ================================
+// Offline evaluation of the recommendation strategies (options: USAGE
+// below, or --help).
+//
+// Interactions are split per user; every strategy then ranks items for each
+// user from the training part only. Hybrid strategies go through the same
+// candidate builder as GET /api/recommendations. By default the model
+// service is stubbed with the in-process JS recommender trained on the
+// training split; --model-url points at a running FastAPI service instead
+// (note its CF model was trained on the full dataset, so CF scores leak).
+// ================================
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_WEIGHTS } = require('../lib/hybrid');
+const { DEFAULT_EXCLUSION_POLICY, buildExclusions } = require('../lib/exclusion');
+const { createCandidateBuilder } = require('../lib/candidates');
+const { createJsRecommender } = require('../lib/jsRecommender');
+const { createInferenceClient } = require('../lib/inferenceClient');
+const { computePopularity, velocityFromInteractions } = require('../lib/popularity');
+
+const DATASET_DIR = path.resolve(__dirname, '..', '..', 'Dataset');
+const COLD_START_THRESHOLD = parseInt(process.env.COLD_START_THRESHOLD) || 5;
+
+// --- CLI arguments ---
+const USAGE = `Offline evaluation of the recommendation strategies
+
+  node scripts/evaluate.js [--source dataset|mongo] [--split leave-last-out|time]
+                           [--k 10] [--holdout 1] [--test-ratio 0.2]
+                           [--blend name=cf:0.8,cbf:0.2] [--model-url URL] [--out report.json]
+
+  --source      read interactions from the Dataset/ export (default) or MongoDB
+  --split       hold out each user's last interactions, or the newest share by time
+  --k           list length the metrics are computed at
+  --holdout     interactions held out per user (leave-last-out)
+  --test-ratio  share of interactions held out (time)
+  --blend       an extra hybrid strategy with its own weights; repeatable
+  --model-url   a running model service instead of the in-process stub
+  --out         also write the report as JSON`;
+
+const parseArgs = argv => {
+  const args = {
+    source: 'dataset',
+    split: 'leave-last-out',
+    k: 10,
+    holdout: 1,
+    testRatio: 0.2,
+    blends: [],
+    modelUrl: null,
+    out: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    // --flag value and --flag=value are both accepted.
+    const eq = argv[i].indexOf('=');
+    const flag = eq === -1 ? argv[i] : argv[i].slice(0, eq);
+    const inline = eq === -1 ? undefined : argv[i].slice(eq + 1);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+    switch (flag) {
+      case '--source': args.source = value(); break;
+      case '--split': args.split = value(); break;
+      case '--k': args.k = parseInt(value()); break;
+      case '--holdout': args.holdout = parseInt(value()); break;
+      case '--test-ratio': args.testRatio = parseFloat(value()); break;
+      case '--blend': args.blends.push(parseBlend(value())); break;
+      case '--model-url': args.modelUrl = value(); break;
+      case '--out': args.out = value(); break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!['dataset', 'mongo'].includes(args.source)) throw new Error('--source must be dataset or mongo');
+  if (!['leave-last-out', 'time'].includes(args.split)) throw new Error('--split must be leave-last-out or time');
+  if (!(args.k > 0)) throw new Error('--k must be a positive integer');
+  return args;
+};
+
+// "cf_heavy=cf:0.8,cbf:0.2,seedCount:5" -> { name, weights }
+const parseBlend = spec => {
+  const [name, params] = String(spec || '').split('=');
+  if (!name || !params) throw new Error(`Invalid --blend "${spec}", expected name=cf:0.8,cbf:0.2`);
+  const weights = { ...DEFAULT_WEIGHTS };
+  for (const pair of params.split(',')) {
+    const [key, val] = pair.split(':');
+    if (!(key in weights) || !Number.isFinite(Number(val)))
+      throw new Error(`Invalid blend parameter "${pair}"`);
+    weights[key] = Number(val);
+  }
+  return { name: `hybrid_${name}`, weights };
+};
+
+// --- Data loading ---
+// Mongo exports wrap values as { $oid } / { $date }.
+const unwrap = value => {
+  if (value && typeof value === 'object') {
+    if ('$oid' in value) return value.$oid;
+    if ('$date' in value) return new Date(value.$date);
+  }
+  return value;
+};
+
+const readExport = file =>
+  JSON.parse(fs.readFileSync(path.join(DATASET_DIR, file), 'utf8')).map(doc =>
+    Object.fromEntries(Object.entries(doc).map(([k, v]) => [k, unwrap(v)]))
+  );
+
+const loadDataset = () => ({
+  mobiles: readExport('RecommendationSystem.mobiles.json'),
+  interactions: readExport('RecommendationSystem.interactions.json'),
+});
+
+const loadMongo = async () => {
+  const mongoose = require('mongoose');
+  const uri = process.env.MONGO_URI || 'mongodb://localhost:27017/RecommendationSystem';
+  await mongoose.connect(uri);
+  try {
+    const db = mongoose.connection.db;
+    const [mobiles, interactions] = await Promise.all([
+      db.collection('mobiles').find({ deleted: { $ne: true } }).toArray(),
+      db.collection('interactions').find({}).toArray(),
+    ]);
+    return {
+      mobiles,
+      interactions: interactions.map(i => ({ ...i, _id: String(i._id) })),
+    };
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+// --- Train/test split ---
+// Interactions without a timestamp keep their insertion order (ObjectId).
+const orderKey = (it, index) => [it.timestamp ? new Date(it.timestamp).getTime() : 0, String(it._id || ''), index];
+const compareKeys = (a, b) => a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0) || a[2] - b[2];
+
+const splitInteractions = (interactions, { split, holdout, testRatio }) => {
+  const ordered = interactions
+    .map((it, index) => ({ it, key: orderKey(it, index) }))
+    .sort((a, b) => compareKeys(a.key, b.key))
+    .map(r => r.it);
+
+  const train = [];
+  const test = new Map();
+  const addTest = it => {
+    if (it.interactionType === 'dismiss') return;
+    if (!test.has(it.userId)) test.set(it.userId, new Set());
+    test.get(it.userId).add(it.itemId);
+  };
+
+  if (split === 'time') {
+    const cutoff = Math.floor(ordered.length * (1 - testRatio));
+    ordered.forEach((it, i) => (i < cutoff ? train.push(it) : addTest(it)));
+  } else {
+    const byUser = new Map();
+    for (const it of ordered) {
+      if (!byUser.has(it.userId)) byUser.set(it.userId, []);
+      byUser.get(it.userId).push(it);
+    }
+    for (const list of byUser.values()) {
+      // Users with a single interaction have nothing left to learn from.
+      const cut = list.length > holdout ? list.length - holdout : list.length;
+      list.slice(0, cut).forEach(it => train.push(it));
+      list.slice(cut).forEach(addTest);
+    }
+  }
+  return { train, test };
+};
+
+// --- Metrics ---
+const metricsAtK = (ranked, relevant, k) => {
+  const top = ranked.slice(0, k);
+  let hits = 0;
+  let dcg = 0;
+  let apSum = 0;
+  top.forEach((id, i) => {
+    if (!relevant.has(id)) return;
+    hits++;
+    dcg += 1 / Math.log2(i + 2);
+    apSum += hits / (i + 1);
+  });
+  let idcg = 0;
+  for (let i = 0; i < Math.min(relevant.size, k); i++) idcg += 1 / Math.log2(i + 2);
+  return {
+    precision: hits / k,
+    recall: relevant.size ? hits / relevant.size : 0,
+    ndcg: idcg ? dcg / idcg : 0,
+    ap: Math.min(relevant.size, k) ? apSum / Math.min(relevant.size, k) : 0,
+  };
+};
+
+const mean = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+// --- Strategies ---
+// The route's popularity score, with velocity measured up to the last
+// training interaction.
+const rankByPopularity = (mobiles, train) => {
+  const now = Math.max(0, ...train.filter(it => it.timestamp).map(it => new Date(it.timestamp).getTime())) || Date.now();
+  const scores = computePopularity(mobiles, velocityFromInteractions(train, now));
+  return [...mobiles]
+    .sort((a, b) => scores.get(b.url).popularityScore - scores.get(a.url).popularityScore)
+    .map(m => m.url);
+};
+
+const buildContext = async (data, train, args) => {
+  const itemIds = new Set(data.mobiles.map(m => m.url));
+  const names = new Map(data.mobiles.map(m => [m.url, `${m.Brand} ${m.Model}`]));
+  const popular = rankByPopularity(data.mobiles, train);
+
+  const byUser = new Map();
+  for (const it of train) {
+    if (!byUser.has(it.userId)) byUser.set(it.userId, []);
+    byUser.get(it.userId).unshift(it); // newest first, as the route loads them
+  }
+
+  const js = createJsRecommender();
+  js.build({ mobiles: data.mobiles, interactions: train });
+
+  let getCfRecos;
+  let getSimilarItems;
+  if (args.modelUrl) {
+    const client = createInferenceClient({ baseUrl: args.modelUrl, healthUrl: `${new URL(args.modelUrl).origin}/health` });
+    const call = async (endpoint, param) => {
+      try {
+        return await client.recommend(endpoint, param);
+      } catch (err) {
+        return err.code === 'not_found' ? [] : null;
+      }
+    };
+    getCfRecos = userId => call('/cf', userId);
+    getSimilarItems = async itemId => {
+      const items = await call('/cbf', itemId);
+      return { items, source: items ? 'python' : null };
+    };
+  } else {
+    getCfRecos = async userId => js.recommendForUser(byUser.get(userId) || []);
+    getSimilarItems = async itemId => ({ items: js.similarItems(itemId), source: 'python' });
+  }
+
+  const buildCandidateSet = createCandidateBuilder({
+    loadUserState: async userId => ({ interactions: byUser.get(userId) || [], feedback: null, profile: null }),
+    getCfRecos,
+    getSimilarItems,
+    fallbackRecommender: null,
+    lookupNames: async ids => new Map(ids.map(id => [id, names.get(id)])),
+    coldStartThreshold: COLD_START_THRESHOLD,
+  });
+
+  return { itemIds, popular, byUser, getCfRecos, getSimilarItems, buildCandidateSet };
+};
+
+// Each strategy returns a ranked list of itemIds for one user.
+const buildStrategies = (ctx, args) => {
+  // Mirrors the route: candidates first, popularity when nothing is left.
+  const hybrid = weights => async userId => {
+    const set = await ctx.buildCandidateSet(userId, DEFAULT_EXCLUSION_POLICY, { weights });
+    const ids = (set.candidates || []).map(c => c.itemId);
+    return ids.length ? ids : ctx.popular;
+  };
+
+  const strategies = {
+    popularity: async () => ctx.popular,
+    cbf_last_item: async userId => {
+      const [last] = ctx.byUser.get(userId) || [];
+      if (!last) return [];
+      return (await ctx.getSimilarItems(last.itemId)).items || [];
+    },
+    cf: async userId => (await ctx.getCfRecos(userId)) || [],
+    hybrid: hybrid(DEFAULT_WEIGHTS),
+  };
+  for (const blend of args.blends) strategies[blend.name] = hybrid(blend.weights);
+  return strategies;
+};
+
+// --- Runner ---
+const evaluate = async (data, args) => {
+  const { train, test } = splitInteractions(data.interactions, args);
+  const ctx = await buildContext(data, train, args);
+  const strategies = buildStrategies(ctx, args);
+
+  // Novelty: mean self-information of recommended items, from how many
+  // training users touched each item (add-one smoothed).
+  const usersPerItem = new Map();
+  for (const list of ctx.byUser.values())
+    for (const itemId of new Set(list.map(i => i.itemId)))
+      usersPerItem.set(itemId, (usersPerItem.get(itemId) || 0) + 1);
+  const userCount = ctx.byUser.size || 1;
+  const selfInformation = id => -Math.log2(((usersPerItem.get(id) || 0) + 1) / (userCount + 1));
+
+  const results = {};
+  for (const [name, rank] of Object.entries(strategies)) {
+    const perUser = [];
+    const recommended = new Set();
+    const novelty = [];
+    for (const [userId, relevant] of test) {
+      const exclusions = buildExclusions(ctx.byUser.get(userId) || [], DEFAULT_EXCLUSION_POLICY);
+      const ranked = [...new Set(await rank(userId))]
+        .filter(id => ctx.itemIds.has(id) && !exclusions.items.has(id))
+        .slice(0, args.k);
+      ranked.forEach(id => {
+        recommended.add(id);
+        novelty.push(selfInformation(id));
+      });
+      perUser.push(metricsAtK(ranked, relevant, args.k));
+    }
+    results[name] = {
+      users: perUser.length,
+      [`precision@${args.k}`]: mean(perUser.map(m => m.precision)),
+      [`recall@${args.k}`]: mean(perUser.map(m => m.recall)),
+      [`ndcg@${args.k}`]: mean(perUser.map(m => m.ndcg)),
+      map: mean(perUser.map(m => m.ap)),
+      coverage: recommended.size / (ctx.itemIds.size || 1),
+      novelty: mean(novelty),
+    };
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    config: {
+      source: args.source,
+      split: args.split,
+      k: args.k,
+      holdout: args.split === 'leave-last-out' ? args.holdout : undefined,
+      testRatio: args.split === 'time' ? args.testRatio : undefined,
+      modelService: args.modelUrl || 'stub (in-process JS recommender)',
+      coldStartThreshold: COLD_START_THRESHOLD,
+    },
+    data: {
+      items: ctx.itemIds.size,
+      trainInteractions: train.length,
+      testUsers: test.size,
+    },
+    results,
+  };
+};
+
+const printTable = report => {
+  const rows = Object.entries(report.results);
+  const columns = Object.keys(rows[0]?.[1] || {});
+  const header = ['strategy', ...columns];
+  const body = rows.map(([name, r]) => [
+    name,
+    ...columns.map(c => (Number.isInteger(r[c]) ? String(r[c]) : r[c].toFixed(4))),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...body.map(row => row[i].length)));
+  const line = cells => cells.map((c, i) => c.padEnd(widths[i])).join('  ');
+  console.log(`\nSplit: ${report.config.split}, k=${report.config.k}, test users: ${report.data.testUsers}, model: ${report.config.modelService}\n`);
+  console.log(line(header));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  body.forEach(row => console.log(line(row)));
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const data = args.source === 'mongo' ? await loadMongo() : loadDataset();
+  const report = await evaluate(data, args);
+  printTable(report);
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`\n📝 JSON report written to ${args.out}`);
+  }
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, splitInteractions, metricsAtK, evaluate };
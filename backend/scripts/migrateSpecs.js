@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// ================================
+// Computes the typed spec fields (lib/specFields.js) for every mobile and
+// creates their indexes. The server also backfills outdated phones on
+// startup; run this after bulk edits made directly in Mongo.
+//
+//   node scripts/migrateSpecs.js [--force]
+//
+// --force recomputes phones that are already on the current version.
+// ================================
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+const { SPEC_FIELDS_VERSION, SPEC_INDEXES, backfillSpecFields } = require('../lib/specFields');
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/RecommendationSystem';
+
+const main = async () => {
+  const force = process.argv.includes('--force');
+  await mongoose.connect(MONGO_URI);
+  try {
+    const collection = mongoose.connection.db.collection('mobiles');
+    const started = Date.now();
+    const { scanned, updated } = await backfillSpecFields(collection, { force });
+    console.log(`🔢 Spec fields v${SPEC_FIELDS_VERSION}: ${scanned} scanned, ${updated} updated in ${Date.now() - started} ms`);
+
+    for (const index of SPEC_INDEXES) await collection.createIndex(index);
+    console.log(`📇 Ensured ${SPEC_INDEXES.length} indexes`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
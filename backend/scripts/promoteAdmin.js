@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// ================================
+// Gives existing users the admin role. Admins can then promote others from
+// the dashboard. Names that have not registered are reported, never reserved.
+//
+//   node scripts/promoteAdmin.js <username> [<username> ...]
+// ================================
+
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config({ path: path.resolve(__dirname, '..', '.env') });
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/RecommendationSystem';
+
+const main = async () => {
+  const usernames = [...new Set(process.argv.slice(2).map(name => name.trim()).filter(Boolean))];
+  if (usernames.length === 0) throw new Error('Usage: node scripts/promoteAdmin.js <username> [<username> ...]');
+
+  await mongoose.connect(MONGO_URI);
+  try {
+    const users = mongoose.connection.db.collection('users');
+    const found = await users.distinct('username', { username: { $in: usernames } });
+    const missing = usernames.filter(name => !found.includes(name));
+    if (missing.length) console.warn(`⚠️ No such user(s): ${missing.join(', ')}`);
+    if (found.length === 0) return;
+
+    const result = await users.updateMany(
+      { username: { $in: found }, role: { $ne: 'admin' } },
+      { $set: { role: 'admin' } }
+    );
+    console.log(`🔑 Promoted ${result.modifiedCount} user(s) to admin (${found.length - result.modifiedCount} already admin)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -7,10 +7,58 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { resolveExclusionPolicy } = require('./lib/exclusion');
+const { DEFAULT_DEPTH, createCandidateBuilder } = require('./lib/candidates');
+const { createCache } = require('./lib/cache');
+const { createInferenceClient } = require('./lib/inferenceClient');
+const { createJsRecommender } = require('./lib/jsRecommender');
+const { normalizeExperiment, createExperimentRegistry } = require('./lib/experiments');
+const { rate, rollupCtr, dailySeries, segmentUsers } = require('./lib/analytics');
+const { normalizeMobile, parseMongoExport, parseCsv } = require('./lib/mobiles');
+const { MIN_COMPARE, MAX_COMPARE, buildComparison } = require('./lib/compare');
+const { createSearchIndex } = require('./lib/search');
+const {
+  POPULARITY_FIELDS,
+  POPULARITY_INDEXES,
+  VELOCITY_WINDOWS,
+  velocityFromInteractions,
+  computePopularity,
+} = require('./lib/popularity');
+const {
+  MAX_SHELF_ITEMS,
+  BECAUSE_YOU_VIEWED_SEEDS,
+  recentItems,
+  continueBrowsing,
+  favouriteBrand,
+  dedupeShelves,
+} = require('./lib/home');
+const { diversityOptions, explorationCandidates, rotate, diversify } = require('./lib/diversity');
+const { newSnapshotId, listQuery, decodeCursor, paginate, extendSnapshot } = require('./lib/pagination');
+const {
+  hashToken,
+  newRefreshToken,
+  successorToken,
+  claimableToken,
+  classifyUnclaimed,
+} = require('./lib/sessions');
+const {
+  normalizeProfile,
+  hasPreferences,
+  preferenceRanker,
+  preferenceStages,
+} = require('./lib/preferences');
+const {
+  buildFilters,
+  buildCatalogPipeline,
+  formatCatalogResult,
+  buildFacetsPipeline,
+  formatFacetsResult,
+} = require('./lib/catalog');
+const { DERIVED_FIELDS, SPEC_INDEXES, deriveSpecFields, backfillSpecFields } = require('./lib/specFields');
 
 // --- 1️⃣ Load local .env file ---
 const envPath = path.resolve(__dirname, '.env');
@@ -28,11 +76,55 @@ const MONGO_URI =
   process.env.MONGO_URI || 'mongodb://localhost:27017/RecommendationSystem';
 const PYTHON_API_URL =
   process.env.PYTHON_API_URL || 'http://127.0.0.1:8000/api/recommend';
+const PYTHON_HEALTH_URL =
+  process.env.PYTHON_HEALTH_URL || `${new URL(PYTHON_API_URL).origin}/health`;
+// Only an explicit development or test NODE_ENV may fall back to the
+// built-in secret; an unset NODE_ENV is treated as production.
+const ALLOWS_DEV_SECRET = ['development', 'test'].includes(process.env.NODE_ENV);
+if (!process.env.JWT_SECRET && !ALLOWS_DEV_SECRET) {
+  console.error('❌ JWT_SECRET must be set unless NODE_ENV is "development" or "test". Refusing to start.');
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET)
+  console.warn('⚠️ JWT_SECRET not set, using an insecure development secret');
 const JWT_SECRET = process.env.JWT_SECRET || 'secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const REFRESH_REUSE_GRACE_SECONDS =
+  parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS ?? 30) || 0;
 const FRONTEND_ORIGIN =
   process.env.FRONTEND_ORIGIN || 'http://localhost:5173';
 const COLD_START_THRESHOLD =
   parseInt(process.env.COLD_START_THRESHOLD) || 5;
+const RECO_CACHE_TTL_SECONDS =
+  parseInt(process.env.RECO_CACHE_TTL_SECONDS) || 300;
+const CBF_CACHE_TTL_SECONDS =
+  parseInt(process.env.CBF_CACHE_TTL_SECONDS) || 3600;
+const JS_RECO_REFRESH_MINUTES =
+  parseInt(process.env.JS_RECO_REFRESH_MINUTES) || 30;
+const POPULARITY_REFRESH_MINUTES =
+  parseInt(process.env.POPULARITY_REFRESH_MINUTES) || 15;
+const IMPRESSION_RETENTION_DAYS =
+  parseInt(process.env.IMPRESSION_RETENTION_DAYS) || 90;
+const SEARCH_LOG_RETENTION_DAYS =
+  parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 90;
+const MAX_CANDIDATE_DEPTH =
+  parseInt(process.env.MAX_CANDIDATE_DEPTH) || 400;
+const SNAPSHOT_TTL_MINUTES =
+  parseInt(process.env.SNAPSHOT_TTL_MINUTES) || 30;
+const DIVERSITY_CONFIG = {
+  enabled: !['0', 'false', 'off'].includes(String(process.env.DIVERSITY_ENABLED).toLowerCase()),
+  lambda: parseFloat(process.env.DIVERSITY_LAMBDA ?? 0.7) || 0,
+  brandCap: parseInt(process.env.DIVERSITY_BRAND_CAP ?? 3) || 0,
+  explorationSlots: parseInt(process.env.EXPLORATION_SLOTS ?? 1) || 0,
+};
+const EXPOSURE_WINDOW_DAYS =
+  parseInt(process.env.EXPOSURE_WINDOW_DAYS) || 7;
+const CATALOG_IMPORT_MAX_MB =
+  parseInt(process.env.CATALOG_IMPORT_MAX_MB) || 20;
+if (process.env.ADMIN_USERNAMES)
+  console.warn('⚠️ ADMIN_USERNAMES is no longer read; promote admins with `npm run admin:promote -- <username>`');
 
 // --- 3️⃣ Middleware ---
 app.use(
@@ -42,7 +134,10 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+// Catalog imports can exceed the default JSON limit; their route reads the
+// raw body itself.
+const CATALOG_IMPORT_PATH = '/api/admin/mobiles/import';
+app.use(express.json({ type: req => req.path !== CATALOG_IMPORT_PATH && req.is('application/json') }));
 
 // --- 4️⃣ Safe Model Registration Helper ---
 const safeSchema = (name, schema, collection) => {
@@ -51,11 +146,14 @@ const safeSchema = (name, schema, collection) => {
 };
 
 // --- 5️⃣ MongoDB Schemas ---
+const USER_ROLES = ['user', 'admin'];
+
 const UserSchema = new mongoose.Schema(
   {
     userId: { type: String, unique: true, required: true },
     username: { type: String, required: true },
     password: { type: String, required: true },
+    role: { type: String, enum: USER_ROLES, default: 'user' },
   },
   { collection: 'users' }
 );
@@ -74,22 +172,201 @@ const MobileSchema = new mongoose.Schema(
     '3 Stars': Number,
     '2 Stars': Number,
     '1 Stars': Number,
+    deleted: { type: Boolean, default: false },
+    deletedAt: Date,
+    // Typed copies of the raw spec strings; recomputed on every write.
+    ...DERIVED_FIELDS,
+    // Rating / velocity / freshness scores; recomputed by refreshPopularity.
+    ...POPULARITY_FIELDS,
   },
   { strict: false, collection: 'mobiles' }
 );
+[...SPEC_INDEXES, ...POPULARITY_INDEXES].forEach(index => MobileSchema.index(index));
+// Soft-deleted phones are hidden from every read (and so from hydrated
+// recommendations, search and the catalog) unless the query opts in with
+// `.setOptions({ withDeleted: true })`, as the admin routes do.
+const NOT_DELETED = { deleted: { $ne: true } };
+MobileSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function () {
+  if (!this.getOptions().withDeleted) this.where(NOT_DELETED);
+});
+MobileSchema.pre('aggregate', function () {
+  this.pipeline().unshift({ $match: NOT_DELETED });
+});
 const Mobile = safeSchema('Mobile', MobileSchema, 'mobiles');
 
+const INTERACTION_TYPES = ['view', 'click', 'cart', 'purchase', 'wishlist', 'dismiss', 'compare'];
+const MAX_INTERACTION_BATCH = 50;
+// The client queues events for about a second, so an older (or future)
+// client timestamp is not trusted: it would skew recency decay and the
+// analytics series.
+const EVENT_CLOCK_SKEW_MS = 5 * 60000;
+
 const InteractionSchema = new mongoose.Schema(
   {
     userId: { type: String, required: true, index: true },
     itemId: { type: String, required: true },
-    interactionType: { type: String, required: true },
+    interactionType: { type: String, required: true, enum: INTERACTION_TYPES },
     timestamp: { type: Date, default: Date.now },
+    // A/B assignment at the time of the event, if an experiment was running.
+    experiment: String,
+    variant: String,
+    // Id of the recommendation response the item was picked from.
+    recId: String,
   },
   { collection: 'interactions' }
 );
+InteractionSchema.index({ recId: 1 }, { sparse: true });
+InteractionSchema.index({ experiment: 1, variant: 1 }, { sparse: true });
 const Interaction = safeSchema('Interaction', InteractionSchema, 'interactions');
 
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, unique: true, required: true },
+    userId: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true, index: { expires: 0 } },
+    revokedAt: Date,
+    replacedBy: String,
+  },
+  { collection: 'refresh_tokens', timestamps: true }
+);
+const RefreshToken = safeSchema('RefreshToken', RefreshTokenSchema, 'refresh_tokens');
+
+const CartSchema = new mongoose.Schema(
+  {
+    userId: { type: String, unique: true, required: true },
+    items: [
+      {
+        _id: false,
+        itemId: { type: String, required: true },
+        quantity: { type: Number, default: 1, min: 1 },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { collection: 'carts', timestamps: true }
+);
+const Cart = safeSchema('Cart', CartSchema, 'carts');
+
+// Explicit per-user feedback: the wishlist and "not interested" items.
+const FeedbackSchema = new mongoose.Schema(
+  {
+    userId: { type: String, unique: true, required: true },
+    wishlist: [
+      {
+        _id: false,
+        itemId: { type: String, required: true },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    dismissed: [
+      {
+        _id: false,
+        itemId: { type: String, required: true },
+        brand: String,
+        dismissedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { collection: 'feedback', timestamps: true }
+);
+const Feedback = safeSchema('Feedback', FeedbackSchema, 'feedback');
+
+// Onboarding preferences, used to personalise the cold-start shelf.
+// The catalog has no prices yet, so `budget` is stored but not applied.
+const ProfileSchema = new mongoose.Schema(
+  {
+    userId: { type: String, unique: true, required: true },
+    preferredBrands: [String],
+    preferredOS: [String],
+    budget: { min: Number, max: Number },
+    minBattery: Number,
+    screen: { min: Number, max: Number },
+    onboardingCompleted: { type: Boolean, default: false },
+  },
+  { collection: 'profiles', timestamps: true }
+);
+const Profile = safeSchema('Profile', ProfileSchema, 'profiles');
+
+const ExperimentSchema = new mongoose.Schema(
+  {
+    key: { type: String, unique: true, required: true },
+    description: String,
+    status: { type: String, default: 'draft' },
+    variants: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        allocation: { type: Number, default: 1 },
+        params: { type: mongoose.Schema.Types.Mixed, default: {} },
+      },
+    ],
+    startedAt: Date,
+    stoppedAt: Date,
+  },
+  { collection: 'experiments', timestamps: true }
+);
+const Experiment = safeSchema('Experiment', ExperimentSchema, 'experiments');
+
+// What a shelf showed: one document per /api/recommendations or
+// /api/mobiles/similar response, keyed by the recId sent to the client.
+const ImpressionSchema = new mongoose.Schema(
+  {
+    recId: { type: String, unique: true, required: true },
+    userId: { type: String, required: true },
+    surface: { type: String, required: true },
+    strategy: String,
+    seedItemId: String,
+    experiment: String,
+    variant: String,
+    items: [
+      {
+        _id: false,
+        itemId: String,
+        position: Number,
+        brand: String,
+        exploration: Boolean,
+      },
+    ],
+    servedAt: { type: Date, default: Date.now, index: { expires: IMPRESSION_RETENTION_DAYS * 86400 } },
+  },
+  { collection: 'impressions' }
+);
+const Impression = safeSchema('Impression', ImpressionSchema, 'impressions');
+
+// Search queries with what was parsed out of them; brands and OS families
+// searched for recently are a cold-start signal.
+const SearchQuerySchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    query: { type: String, required: true },
+    terms: [String],
+    brands: [String],
+    osFamily: String,
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    resultCount: Number,
+    timestamp: { type: Date, default: Date.now, index: { expires: SEARCH_LOG_RETENTION_DAYS * 86400 } },
+  },
+  { collection: 'search_queries' }
+);
+SearchQuerySchema.index({ userId: 1, timestamp: -1 });
+const SearchQuery = safeSchema('SearchQuery', SearchQuerySchema, 'search_queries');
+
+// One row per user and variant: how many shelves they were served.
+const ExperimentExposureSchema = new mongoose.Schema(
+  {
+    experiment: { type: String, required: true },
+    variant: { type: String, required: true },
+    userId: { type: String, required: true },
+    served: { type: Number, default: 0 },
+    firstExposedAt: Date,
+    lastExposedAt: Date,
+  },
+  { collection: 'experiment_exposures' }
+);
+ExperimentExposureSchema.index({ experiment: 1, variant: 1, userId: 1 }, { unique: true });
+const ExperimentExposure = safeSchema('ExperimentExposure', ExperimentExposureSchema, 'experiment_exposures');
+
 // --- 6️⃣ Auth Middleware ---
 const authMiddleware = (req, res, next) => {
   if (req.method === 'OPTIONS') return next();
@@ -100,63 +377,379 @@ const authMiddleware = (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     req.userData = { userId: decoded.userId, username: decoded.username };
     next();
-  } catch {
+  } catch (err) {
+    if (err.name === 'TokenExpiredError')
+      return res.status(401).json({ message: 'Token expired.', code: 'token_expired' });
     return res.status(401).json({ message: 'Invalid token.' });
   }
 };
 
+// Runs after authMiddleware. The role is read from the database rather
+// than the token, so a demotion takes effect immediately.
+const adminMiddleware = async (req, res, next) => {
+  if (req.method === 'OPTIONS') return next();
+  try {
+    const user = await User.findOne({ userId: req.userData?.userId }, 'role').lean();
+    if (user?.role !== 'admin')
+      return res.status(403).json({ message: 'Admin access required.' });
+    next();
+  } catch {
+    res.status(500).json({ message: 'Authorization error.' });
+  }
+};
+
+// The one admin hook: every /api/admin/* route, including ones added later,
+// is authenticated and admin-only without guards of its own.
+app.use('/api/admin', authMiddleware, adminMiddleware);
+
+const formatUser = user => ({ id: user.userId, username: user.username, role: user.role || 'user' });
+
+// --- 6️⃣.1 Session Tokens ---
+const signAccessToken = user =>
+  jwt.sign({ userId: user.userId, username: user.username }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const issueTokens = async (user, refreshToken = newRefreshToken()) => {
+  const token = signAccessToken(user);
+  await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    userId: user.userId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000),
+  });
+  return { token, refreshToken };
+};
+
+const revokeAllTokens = userId =>
+  RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
 // --- 7️⃣ Helper Functions ---
-const hydrateItems = async (itemIds, page = 1, limit = 10, brandFilter = null) => {
-  let query = { url: { $in: itemIds } };
-  if (brandFilter) query.Brand = brandFilter;
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The full filtered list of docs, in candidate order. `filter` is a match
+// from buildFilters (?brand=, ?osFamily=, battery/screen ranges...).
+// Excluded ids are dropped and suppressed brands skipped unless the user
+// explicitly filters on brands. `rerank` may filter/reorder the list.
+const rankItems = async (itemIds, filter = null, exclusions = null, rerank = null) => {
+  const candidates = exclusions ? itemIds.filter(id => !exclusions.items.has(id)) : itemIds;
+  const query = { ...filter, url: { $in: candidates } };
+  if (!filter?.Brand && exclusions?.brands.size) query.Brand = { $nin: [...exclusions.brands] };
 
   const items = await Mobile.find(query).lean();
   const map = new Map(items.map(i => [i.url, i]));
-  const ordered = itemIds.filter(id => map.has(id)).map(id => map.get(id));
+  const ordered = candidates.filter(id => map.has(id)).map(id => map.get(id));
+  return rerank ? rerank(ordered) : ordered;
+};
+
+// One page cut from rankItems, so later candidates backfill filtered ones.
+const hydrateItems = async (itemIds, page = 1, limit = 10, filter = null, exclusions = null, rerank = null) => {
   const start = (page - 1) * limit;
-  return ordered.slice(start, start + limit);
+  return (await rankItems(itemIds, filter, exclusions, rerank)).slice(start, start + limit);
 };
 
-const getPopularityFallback = async (limit = 10, brandFilter = null, page = 1) => {
-  const matchStage = brandFilter ? { Brand: brandFilter } : {};
+// Snapshot entries ({ itemId, ...extra }) -> full docs carrying the extras,
+// in entry order. Phones deleted since the snapshot was taken drop out.
+const hydrateSnapshotPage = async entries => {
+  const docs = await Mobile.find({ url: { $in: entries.map(e => e.itemId) } }).lean();
+  const byUrl = new Map(docs.map(m => [m.url, m]));
+  return entries.filter(e => byUrl.has(e.itemId)).map(({ itemId, ...extra }) => ({ ...byUrl.get(itemId), ...extra }));
+};
+
+// With a profile, items outside its ranges are dropped and preferred
+// brands/OS are ranked first.
+const getPopularityFallback = async (limit = 10, filter = null, page = 1, exclusions = null, profile = null) => {
+  const matchStage = { ...filter };
+  if (exclusions?.items.size) matchStage.url = { $nin: [...exclusions.items] };
+  if (!filter?.Brand && exclusions?.brands.size) matchStage.Brand = { $nin: [...exclusions.brands] };
   const skip = (page - 1) * limit;
 
   return Mobile.aggregate([
     { $match: matchStage },
-    {
-      $addFields: {
-        popularityScore: {
-          $add: [
-            { $multiply: [{ $ifNull: ['$5 Stars', 0] }, 5] },
-            { $multiply: [{ $ifNull: ['$4 Stars', 0] }, 4] },
-            { $multiply: [{ $ifNull: ['$3 Stars', 0] }, 3] },
-            { $multiply: [{ $ifNull: ['$2 Stars', 0] }, 2] },
-            { $multiply: [{ $ifNull: ['$1 Stars', 0] }, 1] },
-          ],
-        },
-      },
-    },
-    { $sort: { popularityScore: -1 } },
+    ...preferenceStages(profile),
+    { $sort: hasPreferences(profile) ? { preferenceScore: -1, popularityScore: -1 } : { popularityScore: -1 } },
     { $skip: skip },
     { $limit: limit },
   ]);
 };
 
-const getPythonRecos = async (endpoint, param) => {
+const inference = createInferenceClient({
+  baseUrl: PYTHON_API_URL,
+  healthUrl: PYTHON_HEALTH_URL,
+  timeoutMs: parseInt(process.env.PYTHON_TIMEOUT_MS) || 2000,
+  retries: parseInt(process.env.PYTHON_RETRIES ?? 2) || 0,
+  breaker: {
+    failureThreshold: parseInt(process.env.PYTHON_BREAKER_THRESHOLD) || 5,
+    cooldownMs: parseInt(process.env.PYTHON_BREAKER_COOLDOWN_MS) || 30000,
+  },
+});
+
+// [] when the model does not know the user/item (404, cold start), null when
+// the service failed or the circuit is open, so callers can fall back.
+const getPythonRecos = async (endpoint, param, k = DEFAULT_DEPTH) => {
   try {
-    const response = await axios.get(
-      `${PYTHON_API_URL}${endpoint}/${encodeURIComponent(param)}?k=50`,
-      { timeout: 10000 }
-    );
-    if (response.data && response.data.recommendations)
-      return response.data.recommendations;
-    return null;
-  } catch (e) {
-    console.error(`❌ Python API error (${endpoint}):`, e.message);
+    return await inference.recommend(endpoint, param, { k });
+  } catch (err) {
+    if (err.code === 'not_found') {
+      console.log(`ℹ️ Python API ${endpoint}: ${err.message}`);
+      return [];
+    }
+    if (err.code !== 'circuit_open')
+      console.error(`❌ Python API error (${endpoint}):`, err.message);
     return null;
   }
 };
 
+// --- 7️⃣.1 Caches ---
+// Blended candidates per user (reused across pages and brand filters) and
+// CBF neighbours per item and depth. A user's entry is dropped on any new
+// event.
+const candidateCache = createCache({
+  name: 'candidates',
+  ttlMs: RECO_CACHE_TTL_SECONDS * 1000,
+  maxEntries: 1000,
+});
+const cbfCache = createCache({
+  name: 'cbf',
+  ttlMs: CBF_CACHE_TTL_SECONDS * 1000,
+  maxEntries: 5000,
+});
+
+// The assembled /api/home shelves (item ids only) per user.
+const homeCache = createCache({
+  name: 'home',
+  ttlMs: RECO_CACHE_TTL_SECONDS * 1000,
+  maxEntries: 1000,
+});
+
+// What a browsing session pages through, keyed by route, user and snapshot
+// id so a cursor from one route never reads the other's snapshot shape.
+// Unlike the caches above, snapshots survive new events until they expire.
+const snapshotCache = createCache({
+  name: 'snapshots',
+  ttlMs: SNAPSHOT_TTL_MINUTES * 60000,
+  maxEntries: 5000,
+});
+const snapshotKey = (kind, userId, snapshotId) => `${kind}:${userId}:${snapshotId}`;
+
+const getCbfRecos = (itemId, k = DEFAULT_DEPTH) =>
+  cbfCache.wrap(k === DEFAULT_DEPTH ? itemId : `${itemId}:${k}`, () => getPythonRecos('/cbf', itemId, k));
+const invalidateUserRecommendations = userId =>
+  Promise.all([candidateCache.del(userId), homeCache.del(userId)]);
+
+// --- 7️⃣.2 In-process Fallback Recommender ---
+const jsRecommender = createJsRecommender();
+
+const refreshJsRecommender = async () => {
+  try {
+    const [mobiles, interactions] = await Promise.all([
+      Mobile.find({}).lean(),
+      Interaction.find({}, 'userId itemId interactionType').lean(),
+    ]);
+    jsRecommender.build({ mobiles, interactions });
+    console.log(`🧮 JS fallback recommender built over ${jsRecommender.status().items} items`);
+  } catch (err) {
+    console.error('❌ Failed to build JS fallback recommender:', err.message);
+  }
+};
+
+// Python CBF first; the in-process recommender when the service fails.
+const getSimilarItems = async (itemId, k = DEFAULT_DEPTH) => {
+  const cbf = await getCbfRecos(itemId, k);
+  if (cbf) return { items: cbf, source: 'python' };
+  if (jsRecommender.isReady()) return { items: jsRecommender.similarItems(itemId, k), source: 'js' };
+  return { items: null, source: null };
+};
+
+// --- 7️⃣.3 Experiments ---
+const experiments = createExperimentRegistry({
+  load: () => Experiment.findOne({ status: 'running' }).lean(),
+});
+
+const reloadExperiments = async () => {
+  try {
+    const running = await experiments.reload();
+    if (running) console.log(`🧪 Experiment running: ${running.key}`);
+  } catch (err) {
+    console.error('❌ Failed to load experiments:', err.message);
+  }
+};
+
+const recordExposure = ({ experiment, variant }, userId) => {
+  const now = new Date();
+  ExperimentExposure.updateOne(
+    { experiment, variant, userId },
+    { $inc: { served: 1 }, $set: { lastExposedAt: now }, $setOnInsert: { firstExposedAt: now } },
+    { upsert: true }
+  ).catch(err => console.error('❌ Failed to record exposure:', err.message));
+};
+
+// --- 7️⃣.4 Impressions ---
+// Stores what was shown and returns the recId for the response. `offset` is
+// the number of items on earlier pages, so positions are 1-based overall.
+const recordImpression = (userId, { surface, strategy, items, offset = 0, seedItemId, assignment }) => {
+  const recId = crypto.randomUUID();
+  Impression.create({
+    recId,
+    userId,
+    surface,
+    strategy,
+    seedItemId,
+    experiment: assignment?.experiment,
+    variant: assignment?.variant,
+    items: items.map((item, i) => ({
+      itemId: item.url,
+      position: offset + i + 1,
+      brand: item.Brand,
+      ...(item.exploration && { exploration: true }),
+    })),
+  }).catch(err => console.error('❌ Failed to record impression:', err.message));
+  return recId;
+};
+
+// --- 7️⃣.5 Search ---
+const searchIndex = createSearchIndex();
+// The dropdown searches as the user types; keystrokes this close together
+// that extend (or trim) the previous query update it instead of adding one.
+const SEARCH_TYPING_WINDOW_MS = 30000;
+const SEARCH_INTENT_DAYS = 30;
+const SEARCH_INTENT_LIMIT = 20;
+
+const refreshSearchIndex = async () => {
+  try {
+    searchIndex.build(await Mobile.find({}).lean());
+    console.log(`🔎 Search index built over ${searchIndex.status().items} items`);
+  } catch (err) {
+    console.error('❌ Failed to build search index:', err.message);
+  }
+};
+
+const logSearch = async (userId, query, parsed, resultCount) => {
+  const entry = {
+    query,
+    terms: parsed.terms,
+    brands: parsed.brands,
+    osFamily: parsed.filters.osFamily,
+    filters: parsed.filters,
+    resultCount,
+    timestamp: new Date(),
+  };
+  try {
+    const last = await SearchQuery.findOne({ userId }).sort({ timestamp: -1 }).lean();
+    const typing =
+      last &&
+      Date.now() - last.timestamp < SEARCH_TYPING_WINDOW_MS &&
+      (query.startsWith(last.query) || last.query.startsWith(query));
+    if (typing) await SearchQuery.updateOne({ _id: last._id }, { $set: entry });
+    else await SearchQuery.create({ userId, ...entry });
+    if (entry.brands.length || entry.osFamily) await invalidateUserRecommendations(userId);
+  } catch (err) {
+    console.error('❌ Failed to log search:', err.message);
+  }
+};
+
+// --- 7️⃣.6 Popularity ---
+// Recomputes the popularity fields of every phone from its ratings, the
+// interactions of the last month and its launch date, and the exploration
+// pool from how often each phone was shown lately.
+let explorationPool = [];
+
+const refreshPopularity = async () => {
+  try {
+    const now = new Date();
+    const since = new Date(now.getTime() - Math.max(...Object.values(VELOCITY_WINDOWS)) * 86400000);
+    const shownSince = new Date(now.getTime() - EXPOSURE_WINDOW_DAYS * 86400000);
+    const [mobiles, interactions, shown] = await Promise.all([
+      Mobile.find({}).lean(),
+      Interaction.find({ timestamp: { $gte: since } }, 'itemId interactionType timestamp').lean(),
+      Impression.aggregate([
+        { $match: { servedAt: { $gte: shownSince } } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.itemId', count: { $sum: 1 } } },
+      ]),
+    ]);
+    const scores = computePopularity(mobiles, velocityFromInteractions(interactions, now.getTime()), now);
+    await Mobile.bulkWrite(
+      [...scores].map(([url, fields]) => ({ updateOne: { filter: { url }, update: { $set: fields } } })),
+      { ordered: false }
+    );
+    explorationPool = explorationCandidates(
+      mobiles.map(m => ({ ...m, ...scores.get(m.url) })),
+      new Map(shown.map(s => [s._id, s.count]))
+    );
+    console.log(`📈 Popularity refreshed for ${scores.size} items`);
+  } catch (err) {
+    console.error('❌ Failed to refresh popularity:', err.message);
+  }
+};
+
+// After catalog writes: everything built from the list of phones.
+const refreshCatalogIndexes = () => {
+  refreshJsRecommender();
+  refreshSearchIndex();
+  refreshPopularity();
+};
+
+// --- 7️⃣.7 Diversity ---
+// Per-request options and the re-ranker for rankItems, with exploration
+// phones for `pages` pages of `limit`. `exclude` lists phones that must not
+// fill exploration slots (the candidates themselves, the seed phone).
+// Returns { options, rerank }, rerank null when off.
+const buildDiversityReranker = async (
+  userId,
+  query,
+  { pages = 1, limit = 10, filter = null, exclusions = null, exclude = [] } = {}
+) => {
+  const options = diversityOptions(query, DIVERSITY_CONFIG);
+  if (!options.enabled) return { options, rerank: null };
+
+  const skip = new Set(exclude);
+  const poolIds = rotate(
+    explorationPool.filter(
+      c =>
+        !skip.has(c.itemId) &&
+        !exclusions?.items.has(c.itemId) &&
+        (filter?.Brand || !exclusions?.brands.has(c.brand))
+    ),
+    userId
+  ).map(c => c.itemId);
+  const docs = poolIds.length ? await Mobile.find({ ...filter, url: { $in: poolIds } }).lean() : [];
+  const byUrl = new Map(docs.map(m => [m.url, m]));
+  const exploration = poolIds
+    .filter(id => byUrl.has(id))
+    .slice(0, options.explorationSlots * pages)
+    .map(id => byUrl.get(id));
+
+  // A single-brand filter leaves nothing for the cap to balance.
+  const settings = { ...options, brandCap: filter?.Brand?.$in?.length === 1 ? 0 : options.brandCap };
+  return {
+    options,
+    rerank: items => diversify(items, { ...settings, pageSize: limit, similarity: jsRecommender.similarity, exploration }),
+  };
+};
+
+// Runs re-rankers left to right, skipping missing ones.
+const chainRerankers = (...rerankers) => {
+  const active = rerankers.filter(Boolean);
+  return active.length ? items => active.reduce((ordered, rerank) => rerank(ordered), items) : null;
+};
+
+// Single write path for interactions, used by the tracking route and by
+// server-side events such as cart changes and checkout. Events are tagged
+// with the user's current experiment variant.
+const logInteractions = async (userId, events) => {
+  const assignment = experiments.assign(userId);
+  const docs = events.map(e => ({
+    userId,
+    itemId: e.itemId,
+    interactionType: e.interactionType,
+    timestamp: e.timestamp || new Date(),
+    ...(e.recId && { recId: e.recId }),
+    ...(assignment && { experiment: assignment.experiment, variant: assignment.variant }),
+  }));
+  await Interaction.insertMany(docs);
+  await invalidateUserRecommendations(userId);
+  console.log(`✅ ${docs.length} interaction(s) saved for ${userId}`);
+  return docs;
+};
+
 // --- 8️⃣ AUTH ROUTES ---
 app.post('/api/auth/register', async (req, res) => {
   const { username, password } = req.body;
@@ -172,13 +765,11 @@ app.post('/api/auth/register', async (req, res) => {
       password: hashed,
     });
     await newUser.save();
-    const token = jwt.sign({ userId: newUser.userId, username }, JWT_SECRET, {
-      expiresIn: '1h',
-    });
+    const tokens = await issueTokens(newUser);
     res.status(201).json({
       message: 'Registered!',
-      token,
-      user: { id: newUser.userId, username },
+      ...tokens,
+      user: formatUser(newUser),
     });
   } catch {
     res.status(500).json({ message: 'Registration error.' });
@@ -191,139 +782,1418 @@ app.post('/api/auth/login', async (req, res) => {
     const user = await User.findOne({ username });
     if (!user || !(await bcrypt.compare(password, user.password)))
       return res.status(401).json({ message: 'Invalid credentials.' });
-    const token = jwt.sign({ userId: user.userId, username }, JWT_SECRET, {
-      expiresIn: '1h',
-    });
+    const tokens = await issueTokens(user);
     res.status(200).json({
       message: 'Logged in!',
-      token,
-      user: { id: user.userId, username },
+      ...tokens,
+      user: formatUser(user),
     });
   } catch {
     res.status(500).json({ message: 'Login error.' });
   }
 });
 
+// Rotates the refresh token: the presented one is claimed (revoked) in one
+// atomic update and a new pair is issued. Within REFRESH_REUSE_GRACE_SECONDS
+// of its rotation a token gets the same successor back, since another tab
+// may have refreshed with it a moment earlier. Presenting a revoked token
+// after that revokes every session of that user, since it means the token
+// was copied.
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken)
+    return res.status(400).json({ message: 'refreshToken required.' });
+  try {
+    const now = new Date();
+    const tokenHash = hashToken(String(refreshToken));
+    const successor = successorToken(refreshToken, JWT_SECRET);
+    const claimed = await RefreshToken.findOneAndUpdate(
+      claimableToken(tokenHash, now),
+      { $set: { revokedAt: now, replacedBy: hashToken(successor) } }
+    ).lean();
+
+    if (!claimed) {
+      const stored = await RefreshToken.findOne({ tokenHash }).lean();
+      const outcome = classifyUnclaimed(stored, { now, successor, graceMs: REFRESH_REUSE_GRACE_SECONDS * 1000 });
+      if (outcome === 'invalid')
+        return res.status(401).json({ message: 'Invalid refresh token.' });
+      if (outcome === 'reused') {
+        await revokeAllTokens(stored.userId);
+        return res.status(401).json({ message: 'Refresh token revoked.' });
+      }
+      const user = await User.findOne({ userId: stored.userId });
+      if (!user) return res.status(401).json({ message: 'Invalid refresh token.' });
+      return res.status(200).json({
+        token: signAccessToken(user),
+        refreshToken: successor,
+        user: formatUser(user),
+      });
+    }
+
+    const user = await User.findOne({ userId: claimed.userId });
+    if (!user) return res.status(401).json({ message: 'Invalid refresh token.' });
+    const tokens = await issueTokens(user, successor);
+    res.status(200).json({
+      ...tokens,
+      user: formatUser(user),
+    });
+  } catch {
+    res.status(500).json({ message: 'Token refresh error.' });
+  }
+});
+
+// Revokes the given refresh token, or every session with `{ all: true }`.
+app.post('/api/auth/logout', async (req, res) => {
+  const { refreshToken, all } = req.body || {};
+  if (!refreshToken)
+    return res.status(400).json({ message: 'refreshToken required.' });
+  try {
+    // Only a live token logs out; with `all` a revoked or expired one would
+    // let anyone holding an old token end every session of its owner.
+    const now = new Date();
+    const claimed = await RefreshToken.findOneAndUpdate(
+      claimableToken(hashToken(String(refreshToken)), now),
+      { $set: { revokedAt: now } }
+    ).lean();
+    if (claimed && all) await revokeAllTokens(claimed.userId);
+    res.status(200).json({ message: 'Logged out.' });
+  } catch {
+    res.status(500).json({ message: 'Logout error.' });
+  }
+});
+
 // --- 9️⃣ INTERACTIONS ---
+// Accepts a single `{ itemId, interactionType }` or a batch `{ events: [...] }`.
+// Events with an unknown type or itemId are rejected; the rest are stored.
+const validateEvent = (event, index) => {
+  const { itemId, interactionType, timestamp, recId } = event || {};
+  if (!itemId || typeof itemId !== 'string')
+    return { index, error: 'itemId required.' };
+  if (recId !== undefined && recId !== null && !(typeof recId === 'string' && recId.length <= 64))
+    return { index, error: 'recId must be a string of at most 64 characters.' };
+  if (!INTERACTION_TYPES.includes(interactionType))
+    return { index, error: `interactionType must be one of: ${INTERACTION_TYPES.join(', ')}.` };
+  const now = Date.now();
+  const time = timestamp ? new Date(timestamp) : new Date(now);
+  const valid = !isNaN(time) && time.getTime() <= now && time.getTime() >= now - EVENT_CLOCK_SKEW_MS;
+  return { index, itemId, interactionType, timestamp: valid ? time : new Date(now), recId: recId || undefined };
+};
+
 app.post('/api/interactions', authMiddleware, async (req, res) => {
   const userId = req.userData?.userId;
-  const { itemId, interactionType } = req.body;
+  const events = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+  if (events.length === 0)
+    return res.status(400).json({ message: 'No events provided.' });
+  if (events.length > MAX_INTERACTION_BATCH)
+    return res.status(400).json({ message: `At most ${MAX_INTERACTION_BATCH} events per request.` });
+
+  try {
+    const checked = events.map(validateEvent);
+    const itemIds = [...new Set(checked.filter(e => !e.error).map(e => e.itemId))];
+    const known = new Set(await Mobile.distinct('url', { url: { $in: itemIds } }));
+
+    const rejected = [];
+    const accepted = [];
+    for (const e of checked) {
+      if (e.error) rejected.push({ index: e.index, error: e.error });
+      else if (!known.has(e.itemId)) rejected.push({ index: e.index, error: 'Unknown itemId.' });
+      else accepted.push(e);
+    }
+
+    if (accepted.length === 0)
+      return res.status(400).json({ message: 'No valid events.', rejected });
+
+    const docs = await logInteractions(userId, accepted);
+    res.status(202).json({ message: 'Interaction logged.', accepted: docs.length, rejected });
+  } catch (err) {
+    console.error('❌ Failed to save interaction:', err);
+    res.status(500).json({ message: 'Server error logging interaction.' });
+  }
+});
+
+// --- 9️⃣.1 CART & CHECKOUT ---
+// Joins stored { itemId, ... } entries with their card fields, keeping order.
+const hydrateEntries = async entries => {
+  const mobiles = await Mobile.find(
+    { url: { $in: entries.map(e => e.itemId) } },
+    { Brand: 1, Model: 1, url: 1, 'Picture URL': 1, 'Operating system': 1 }
+  ).lean();
+  const map = new Map(mobiles.map(m => [m.url, m]));
+  return entries
+    .filter(e => map.has(e.itemId))
+    .map(({ itemId, ...rest }) => ({ ...map.get(itemId), ...rest }));
+};
+
+const formatCart = async cart => {
+  const items = await hydrateEntries(cart?.items || []);
+  return { items, count: items.reduce((sum, i) => sum + i.quantity, 0) };
+};
+
+app.get('/api/cart', authMiddleware, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.userData.userId }).lean();
+    res.json(await formatCart(cart));
+  } catch {
+    res.status(500).json({ message: 'Error loading cart.' });
+  }
+});
+
+app.post('/api/cart/items', authMiddleware, async (req, res) => {
+  const userId = req.userData.userId;
+  const { itemId } = req.body || {};
+  const quantity = Math.max(parseInt(req.body?.quantity) || 1, 1);
+  // Set when the item was added from a recommendation shelf.
+  const recId = typeof req.body?.recId === 'string' ? req.body.recId.slice(0, 64) : undefined;
   if (!itemId) return res.status(400).json({ message: 'itemId required.' });
   try {
-    new Interaction({ userId, itemId, interactionType })
-      .save()
-      .then(() => console.log(`✅ Interaction saved for ${userId}`))
-      .catch(err => console.error('❌ Failed to save interaction:', err));
-    res.status(202).json({ message: 'Interaction logged.' });
+    if (!(await Mobile.exists({ url: itemId })))
+      return res.status(404).json({ message: 'Unknown itemId.' });
+
+    const updated = await Cart.findOneAndUpdate(
+      { userId, 'items.itemId': itemId },
+      { $inc: { 'items.$.quantity': quantity } },
+      { new: true }
+    ).lean();
+    const cart =
+      updated ||
+      (await Cart.findOneAndUpdate(
+        { userId },
+        { $push: { items: { itemId, quantity } } },
+        { new: true, upsert: true }
+      ).lean());
+
+    await logInteractions(userId, [{ itemId, interactionType: 'cart', recId }]);
+    res.status(201).json(await formatCart(cart));
+  } catch (err) {
+    console.error('❌ Failed to add to cart:', err);
+    res.status(500).json({ message: 'Error updating cart.' });
+  }
+});
+
+app.delete('/api/cart/items/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(
+      { userId: req.userData.userId },
+      { $pull: { items: { itemId: req.params.itemId } } },
+      { new: true }
+    ).lean();
+    res.json(await formatCart(cart));
   } catch {
-    res.status(500).json({ message: 'Server error logging interaction.' });
+    res.status(500).json({ message: 'Error updating cart.' });
   }
 });
 
-// --- 🔟 SEARCH ---
-app.get('/api/mobiles/search', authMiddleware, async (req, res) => {
-  const q = req.query.q || '';
-  if (q.length < 2) return res.json([]);
+// Mock checkout: no payment, just a purchase interaction per cart line.
+// The cart is emptied first, in one step, so concurrent checkouts cannot
+// both order (and log) the same lines.
+app.post('/api/cart/checkout', authMiddleware, async (req, res) => {
+  const userId = req.userData.userId;
   try {
-    const mobiles = await Mobile.find(
+    const cart = await Cart.findOneAndUpdate(
+      { userId, 'items.0': { $exists: true } },
+      { $set: { items: [] } }
+    ).lean();
+    if (!cart) return res.status(400).json({ message: 'Cart is empty.' });
+
+    const order = await formatCart(cart);
+    await logInteractions(
+      userId,
+      cart.items.map(i => ({ itemId: i.itemId, interactionType: 'purchase' }))
+    );
+    res.status(201).json({
+      message: 'Order placed!',
+      orderId: `order_${Date.now()}`,
+      ...order,
+    });
+  } catch (err) {
+    console.error('❌ Checkout failed:', err);
+    res.status(500).json({ message: 'Checkout error.' });
+  }
+});
+
+// --- 9️⃣.2 WISHLIST & "NOT INTERESTED" ---
+const formatWishlist = async feedback => {
+  const entries = [...(feedback?.wishlist || [])].sort((a, b) => b.addedAt - a.addedAt);
+  const items = await hydrateEntries(entries);
+  return { items, count: items.length };
+};
+
+app.get('/api/wishlist', authMiddleware, async (req, res) => {
+  try {
+    const feedback = await Feedback.findOne({ userId: req.userData.userId }).lean();
+    res.json(await formatWishlist(feedback));
+  } catch {
+    res.status(500).json({ message: 'Error loading wishlist.' });
+  }
+});
+
+app.post('/api/wishlist/items', authMiddleware, async (req, res) => {
+  const userId = req.userData.userId;
+  const { itemId } = req.body || {};
+  if (!itemId) return res.status(400).json({ message: 'itemId required.' });
+  try {
+    if (!(await Mobile.exists({ url: itemId })))
+      return res.status(404).json({ message: 'Unknown itemId.' });
+
+    const feedback = await Feedback.findOneAndUpdate(
+      { userId, 'wishlist.itemId': { $ne: itemId } },
       {
-        $or: [
-          { Brand: { $regex: q, $options: 'i' } },
-          { Model: { $regex: q, $options: 'i' } },
-        ],
+        $push: { wishlist: { itemId } },
+        // Saving an item overrides an earlier "not interested".
+        $pull: { dismissed: { itemId } },
       },
-      'Brand Model url'
-    ).limit(10);
-    res.json(mobiles);
+      { new: true }
+    ).lean();
+    // No match: either the user has no feedback yet (inserted here) or the
+    // item is already saved (left as is).
+    const upserted =
+      !feedback &&
+      (await Feedback.findOneAndUpdate(
+        { userId },
+        { $setOnInsert: { wishlist: [{ itemId }] } },
+        { new: true, upsert: true, includeResultMetadata: true }
+      ).lean());
+    const added = !!feedback || !upserted.lastErrorObject?.updatedExisting;
+
+    // Re-saving a saved item is not a new signal.
+    if (added) await logInteractions(userId, [{ itemId, interactionType: 'wishlist' }]);
+    res.status(201).json(await formatWishlist(feedback || upserted.value));
+  } catch (err) {
+    console.error('❌ Failed to update wishlist:', err);
+    res.status(500).json({ message: 'Error updating wishlist.' });
+  }
+});
+
+app.delete('/api/wishlist/items/:itemId', authMiddleware, async (req, res) => {
+  try {
+    const feedback = await Feedback.findOneAndUpdate(
+      { userId: req.userData.userId },
+      { $pull: { wishlist: { itemId: req.params.itemId } } },
+      { new: true }
+    ).lean();
+    await invalidateUserRecommendations(req.userData.userId);
+    res.json(await formatWishlist(feedback));
   } catch {
+    res.status(500).json({ message: 'Error updating wishlist.' });
+  }
+});
+
+// Marks an item "not interested"; it is suppressed in /api/recommendations
+// (and its brand too, after DISMISS_BRAND_THRESHOLD dismissals).
+app.post('/api/recommendations/dismiss', authMiddleware, async (req, res) => {
+  const userId = req.userData.userId;
+  const { itemId } = req.body || {};
+  if (!itemId) return res.status(400).json({ message: 'itemId required.' });
+  try {
+    const mobile = await Mobile.findOne({ url: itemId }, 'Brand').lean();
+    if (!mobile) return res.status(404).json({ message: 'Unknown itemId.' });
+
+    // One pipeline update, so a concurrent dismiss or wishlist save cannot
+    // interleave: the item leaves the wishlist and moves to the end of
+    // `dismissed`, once.
+    const without = field => ({
+      $filter: { input: { $ifNull: [`$${field}`, []] }, cond: { $ne: ['$$this.itemId', { $literal: itemId }] } },
+    });
+    await Feedback.updateOne(
+      { userId },
+      [
+        {
+          $set: {
+            wishlist: without('wishlist'),
+            dismissed: {
+              $concatArrays: [
+                without('dismissed'),
+                [{ itemId: { $literal: itemId }, brand: { $literal: mobile.Brand }, dismissedAt: '$$NOW' }],
+              ],
+            },
+            createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+          },
+        },
+      ],
+      { upsert: true }
+    );
+    await logInteractions(userId, [{ itemId, interactionType: 'dismiss' }]);
+    res.status(201).json({ message: 'Thanks, we will show fewer items like this.' });
+  } catch (err) {
+    console.error('❌ Failed to record dismissal:', err);
+    res.status(500).json({ message: 'Error recording feedback.' });
+  }
+});
+
+// --- 9️⃣.3 PROFILE & ONBOARDING ---
+const formatProfile = profile => ({
+  preferredBrands: profile?.preferredBrands || [],
+  preferredOS: profile?.preferredOS || [],
+  budget: profile?.budget || { min: null, max: null },
+  minBattery: profile?.minBattery ?? null,
+  screen: profile?.screen || { min: null, max: null },
+  onboardingCompleted: !!profile?.onboardingCompleted,
+});
+
+app.get('/api/users/me', authMiddleware, async (req, res) => {
+  const { userId, username } = req.userData;
+  try {
+    const profile = await Profile.findOne({ userId }).lean();
+    res.json({ user: { id: userId, username }, profile: formatProfile(profile) });
+  } catch {
+    res.status(500).json({ message: 'Error loading profile.' });
+  }
+});
+
+app.put('/api/users/me', authMiddleware, async (req, res) => {
+  const { userId, username } = req.userData;
+  const { profile, errors } = normalizeProfile(req.body || {});
+  if (errors) return res.status(400).json({ message: 'Invalid profile.', errors });
+  try {
+    const saved = await Profile.findOneAndUpdate(
+      { userId },
+      { $set: { ...profile, onboardingCompleted: true } },
+      { new: true, upsert: true }
+    ).lean();
+    await invalidateUserRecommendations(userId);
+    res.json({ user: { id: userId, username }, profile: formatProfile(saved) });
+  } catch {
+    res.status(500).json({ message: 'Error saving profile.' });
+  }
+});
+
+// --- 🔟 SEARCH ---
+// Ranked matches with `highlights` ({ Brand, Model } -> [start, end] ranges).
+// Spec keywords in the query ("5000mAh", "6 inch", "octa core", "android")
+// filter the results.
+app.get('/api/mobiles/search', authMiddleware, async (req, res) => {
+  const q = String(req.query.q || '').trim().slice(0, 200);
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  if (q.length < 2) return res.json([]);
+  try {
+    // Until the index is built: case-insensitive substring match.
+    if (!searchIndex.isReady()) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      const mobiles = await Mobile.find(
+        { $or: [{ Brand: pattern }, { Model: pattern }] },
+        { Brand: 1, Model: 1, url: 1, 'Picture URL': 1 }
+      )
+        .limit(limit)
+        .lean();
+      return res.json(mobiles);
+    }
+    const { parsed, total, results } = searchIndex.search(q, { limit });
+    if (parsed.terms.length || Object.keys(parsed.filters).length)
+      logSearch(req.userData.userId, q, parsed, total);
+    res.json(results);
+  } catch (err) {
+    console.error('❌ Search error:', err);
     res.status(500).json({ message: 'Error searching mobiles.' });
   }
 });
 
+// --- 🔟.1 CATALOG (filters, sorting, facets) ---
+app.get('/api/mobiles', authMiddleware, async (req, res) => {
+  try {
+    const { pipeline, page, limit } = buildCatalogPipeline(req.query);
+    const result = await Mobile.aggregate(pipeline);
+    res.json(formatCatalogResult(result, page, limit));
+  } catch (err) {
+    console.error('❌ Catalog query failed:', err);
+    res.status(500).json({ message: 'Error listing mobiles.' });
+  }
+});
+
+// Filter panel options (registered before /api/mobiles/:id). With
+// ?scope=recommendations only the phones the user's recommendations are
+// drawn from are counted: their candidates (the catalog when they get
+// popular phones) minus what they suppressed.
+app.get('/api/mobiles/facets', authMiddleware, async (req, res) => {
+  const scope = req.query.scope === 'recommendations' ? 'recommendations' : 'catalog';
+  try {
+    const match = {};
+    if (scope === 'recommendations') {
+      const userId = req.userData.userId;
+      const set = await getCandidateSet(userId, req.query, experiments.assign(userId));
+      const excluded = new Set(set.excludedItems);
+      if (set.candidates) match.url = { $in: set.candidates.map(c => c.itemId).filter(id => !excluded.has(id)) };
+      else if (excluded.size) match.url = { $nin: [...excluded] };
+      if (set.excludedBrands.length) match.Brand = { $nin: set.excludedBrands };
+    }
+    const result = await Mobile.aggregate(buildFacetsPipeline(match));
+    res.json({ scope, ...formatFacetsResult(result) });
+  } catch (err) {
+    console.error('❌ Facets query failed:', err);
+    res.status(500).json({ message: 'Error loading filters.' });
+  }
+});
+
+// --- 🔟.2 POPULARITY SHELVES ---
+// Non-personalised shelves; the user's "not interested" phones are left out.
+const POPULARITY_SHELVES = {
+  topRated: { type: 'top_rated', sort: { bayesianRating: -1, ratingCount: -1 } },
+  trending: { type: 'trending_now', sort: { trendingScore: -1, popularityScore: -1 } },
+  newLaunches: { type: 'new_launches', match: { launchDate: { $ne: null } }, sort: { launchDate: -1, bayesianRating: -1 } },
+};
+
+const popularityShelf = ({ type, match = {}, sort }) => async (req, res) => {
+  const userId = req.userData.userId;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 25);
+  try {
+    const feedback = await Feedback.findOne({ userId }, 'dismissed').lean();
+    const filter = { ...match };
+    const dismissed = (feedback?.dismissed || []).map(d => d.itemId);
+    if (dismissed.length) filter.url = { $nin: dismissed };
+    // ?brand=a&brand=b and ?brand=a,b match either brand, as in the catalog.
+    const { Brand } = buildFilters({ brand: req.query.brand });
+    if (Brand) filter.Brand = Brand;
+
+    const recommendations = await Mobile.find(filter).sort(sort).limit(limit).lean();
+    const recId = recordImpression(userId, { surface: type, strategy: type, items: recommendations });
+    res.json({ type, recId, recommendations });
+  } catch (err) {
+    console.error(`❌ ${type} shelf error:`, err);
+    res.status(500).json({ message: 'Error loading shelf.' });
+  }
+};
+
+app.get('/api/mobiles/top-rated', authMiddleware, popularityShelf(POPULARITY_SHELVES.topRated));
+app.get('/api/mobiles/trending', authMiddleware, popularityShelf(POPULARITY_SHELVES.trending));
+app.get('/api/mobiles/new-launches', authMiddleware, popularityShelf(POPULARITY_SHELVES.newLaunches));
+
 // --- 11️⃣ SIMILAR (CBF) ---
 app.get('/api/mobiles/similar', authMiddleware, async (req, res) => {
   const { itemId } = req.query;
   if (!itemId) return res.status(400).json({ message: 'itemId required.' });
   try {
-    const cbfRecs = await getPythonRecos('/cbf', itemId);
-    if (!cbfRecs) return res.status(200).json([]);
-    const recommendations = await hydrateItems(cbfRecs);
-    res.json(recommendations);
+    const similar = await getSimilarItems(itemId);
+    const type = similar.source === 'js' ? 'js_fallback_cbf' : 'cbf';
+    const diversity = await buildDiversityReranker(req.userData.userId, req.query, {
+      exclude: [itemId, ...(similar.items || [])],
+    });
+    const recommendations = similar.items ? await hydrateItems(similar.items, 1, 10, null, null, diversity.rerank) : [];
+    const recId = recordImpression(req.userData.userId, {
+      surface: 'similar',
+      strategy: type,
+      items: recommendations,
+      seedItemId: itemId,
+    });
+    res.json({ type, recId, recommendations, diversity: diversity.options });
   } catch {
     res.status(500).json({ message: 'Error getting similar items.' });
   }
 });
 
+// --- 11️⃣.1 PRODUCT DETAIL ---
+const STAR_LEVELS = [5, 4, 3, 2, 1];
+const NON_SPEC_FIELDS = new Set([
+  '_id', '__v', 'Brand', 'Model', 'url', 'Picture URL',
+  'deleted', 'deletedAt', 'createdAt', 'updatedAt',
+  ...Object.keys(DERIVED_FIELDS),
+  ...Object.keys(POPULARITY_FIELDS),
+  ...STAR_LEVELS.map(s => `${s} Stars`),
+]);
+
+const buildRatingSummary = mobile => {
+  const histogram = STAR_LEVELS.map(stars => ({
+    stars,
+    count: mobile[`${stars} Stars`] || 0,
+  }));
+  const count = histogram.reduce((sum, h) => sum + h.count, 0);
+  const total = histogram.reduce((sum, h) => sum + h.stars * h.count, 0);
+  return {
+    histogram,
+    count,
+    average: count ? Math.round((total / count) * 100) / 100 : null,
+  };
+};
+
+// :id is either the item url (URI-encoded) or the Mongo _id.
+const mobileLookup = id => (mongoose.isValidObjectId(id) ? { _id: id } : { url: id });
+
+app.get('/api/mobiles/:id', authMiddleware, async (req, res) => {
+  try {
+    const mobile = await Mobile.findOne(mobileLookup(req.params.id)).lean();
+    if (!mobile) return res.status(404).json({ message: 'Mobile not found.' });
+
+    const specs = Object.fromEntries(
+      Object.entries(mobile).filter(([key]) => !NON_SPEC_FIELDS.has(key))
+    );
+    res.json({ ...mobile, specs, ratings: buildRatingSummary(mobile) });
+  } catch {
+    res.status(500).json({ message: 'Error loading mobile.' });
+  }
+});
+
+// --- 11️⃣.2 COMPARE ---
+// Takes 2-4 item urls and returns aligned spec rows with the best value of
+// each numeric row marked. Each compared phone is logged as a `compare`
+// interaction.
+app.post('/api/mobiles/compare', authMiddleware, async (req, res) => {
+  const userId = req.userData.userId;
+  const itemIds = Array.isArray(req.body?.itemIds)
+    ? [...new Set(req.body.itemIds.filter(id => typeof id === 'string' && id))]
+    : [];
+  if (itemIds.length < MIN_COMPARE || itemIds.length > MAX_COMPARE)
+    return res.status(400).json({ message: `Provide ${MIN_COMPARE} to ${MAX_COMPARE} distinct itemIds.` });
+
+  try {
+    const mobiles = await Mobile.find({ url: { $in: itemIds } }).lean();
+    const byUrl = new Map(mobiles.map(m => [m.url, m]));
+    const missing = itemIds.filter(id => !byUrl.has(id));
+    if (missing.length) return res.status(404).json({ message: 'Unknown itemIds.', missing });
+
+    const comparison = buildComparison(itemIds.map(id => byUrl.get(id)));
+    await logInteractions(userId, itemIds.map(itemId => ({ itemId, interactionType: 'compare' })));
+    res.json(comparison);
+  } catch (err) {
+    console.error('❌ Compare error:', err);
+    res.status(500).json({ message: 'Error comparing mobiles.' });
+  }
+});
+
 // --- 12️⃣ MAIN RECOMMENDATION LOGIC ---
+const buildCandidateSet = createCandidateBuilder({
+  loadUserState: async userId => {
+    const [interactions, feedback, profile, searches] = await Promise.all([
+      Interaction.find({ userId }).sort({ timestamp: -1 }).lean(),
+      Feedback.findOne({ userId }).lean(),
+      Profile.findOne({ userId }).lean(),
+      SearchQuery.find({ userId, timestamp: { $gte: new Date(Date.now() - SEARCH_INTENT_DAYS * 86400000) } })
+        .sort({ timestamp: -1 })
+        .limit(SEARCH_INTENT_LIMIT)
+        .lean(),
+    ]);
+    return { interactions, feedback, profile, searches };
+  },
+  getCfRecos: userId => getPythonRecos('/cf', userId),
+  getSimilarItems,
+  fallbackRecommender: jsRecommender,
+  lookupNames: async itemIds => {
+    const docs = await Mobile.find({ url: { $in: itemIds } }, 'Brand Model url').lean();
+    return new Map(docs.map(m => [m.url, `${m.Brand} ${m.Model}`]));
+  },
+  coldStartThreshold: COLD_START_THRESHOLD,
+});
+
+// Degraded results (model service unreachable) are served but not cached,
+// nor are sets whose user had a new event while they were built.
+// The cache entry is only reused for the same policy and variant overrides,
+// and when it was built at least `depth` deep.
+const getCandidateSet = async (userId, query, assignment = null, depth = DEFAULT_DEPTH) => {
+  const policy = resolveExclusionPolicy(query);
+  const policyKey = JSON.stringify({ policy, overrides: assignment?.overrides ?? null });
+  const since = candidateCache.version(userId);
+  const cached = await candidateCache.get(userId);
+  if (cached && cached.policyKey === policyKey && cached.depth >= depth) return cached;
+
+  const set = await buildCandidateSet(userId, policy, assignment?.overrides, depth);
+  if (!set.degraded) await candidateCache.set(userId, { ...set, policyKey }, { since });
+  return set;
+};
+
+// What a snapshot keeps per phone besides its id.
+const snapshotEntry = (doc, scored) => {
+  if (doc.exploration) return { itemId: doc.url, exploration: true, reasons: doc.reasons };
+  if (scored?.score !== undefined) return { itemId: doc.url, score: scored.score, reasons: scored.reasons };
+  return { itemId: doc.url };
+};
+
+const popularityList = async (type, depth, filter, exclusions, profile = null) => {
+  const docs = await getPopularityFallback(depth, filter, 1, exclusions, profile);
+  return {
+    type,
+    entries: docs.map(m => ({ itemId: m.url })),
+    complete: docs.length < depth || depth >= MAX_CANDIDATE_DEPTH,
+    diversity: null,
+  };
+};
+
+// The whole shelf for `filters` ({ query, filter, limit }) from
+// candidates fetched `depth` deep, as snapshot entries. The strategy is
+// decided here for the whole list, so pages never switch between CBF and
+// popularity. `complete` is false while a deeper build could add phones.
+const buildRecommendationList = async (userId, { query, filter, limit }, assignment, depth) => {
+  const set = await getCandidateSet(userId, query, assignment, depth);
+  const { profile, candidates } = set;
+  const exclusions = { items: new Set(set.excludedItems), brands: new Set(set.excludedBrands) };
+  const coldStart = set.strategy === 'cold_start';
+
+  if (candidates) {
+    const candidateIds = candidates.map(c => c.itemId);
+    const diversity = await buildDiversityReranker(userId, query, {
+      pages: Math.ceil(candidateIds.length / limit),
+      limit,
+      filter,
+      exclusions,
+      exclude: candidateIds,
+    });
+    const docs = await rankItems(
+      candidateIds, filter, exclusions, chainRerankers(coldStart && preferenceRanker(profile), diversity.rerank)
+    );
+    if (docs.length) {
+      const scoreMap = new Map(candidates.map(c => [c.itemId, c]));
+      const type = coldStart
+        ? set.source === 'js' ? 'js_fallback_cbf' : 'cold_start_cbf'
+        : set.source === 'js' ? 'js_fallback_hybrid' : 'hybrid_warm_start';
+      return {
+        type,
+        entries: docs.map(m => snapshotEntry(m, scoreMap.get(m.url))),
+        complete: !set.truncated || depth >= MAX_CANDIDATE_DEPTH,
+        diversity: diversity.options,
+      };
+    }
+  }
+
+  // 🧊 Cold Start without CBF picks: popular phones, matched to the profile.
+  if (coldStart)
+    return popularityList(
+      hasPreferences(profile) ? 'cold_start_profile' : 'cold_start_popular', depth, filter, exclusions, profile
+    );
+  // 🔥 Warm Start without usable hybrid candidates.
+  const type = set.strategy === 'cf_unavailable' ? 'error_fallback_popular' : 'hybrid_fallback_popular';
+  return popularityList(type, depth, filter, exclusions);
+};
+
+// query: the list's params (see listQuery).
+const startRecommendationSnapshot = async (userId, query, limit, assignment) => {
+  const filters = { query, filter: buildFilters(query), limit };
+  const list = await buildRecommendationList(userId, filters, assignment, DEFAULT_DEPTH);
+  return { id: newSnapshotId(), filters, depth: DEFAULT_DEPTH, ...list };
+};
+
+// Pages are served from a snapshot of the whole shelf: ?cursor= continues a
+// session with the filters it started with; without one a new snapshot is
+// taken and ?page= picks the offset. A cursor whose snapshot expired starts
+// a new one from the filters the cursor carries.
 app.get('/api/recommendations', authMiddleware, async (req, res) => {
   const userId = req.userData?.userId;
-  const page = parseInt(req.query.page) || 1;
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  // Shelf cursors belong to /api/home.
+  if (req.query.cursor && (!cursor || cursor.shelf)) return res.status(400).json({ message: 'Invalid cursor.' });
   const limit = Math.min(parseInt(req.query.limit) || 10, 25);
-  const brandFilter = req.query.brand || null;
+  const offset = cursor ? cursor.offset : (Math.max(parseInt(req.query.page) || 1, 1) - 1) * limit;
+  const query = cursor ? cursor.query : listQuery(req.query);
+
+  // The variant is echoed back so clients can tell which arm they saw.
+  const assignment = experiments.assign(userId);
+  const experiment = assignment && { key: assignment.experiment, variant: assignment.variant };
+  const send = async (snapshot, status = 200) => {
+    await snapshotCache.set(snapshotKey('recommendations', userId, snapshot.id), snapshot);
+    const { items, ...pagination } = paginate(snapshot.entries, {
+      snapshotId: snapshot.id,
+      offset,
+      limit,
+      query: snapshot.filters.query,
+      complete: snapshot.complete,
+    });
+    const recommendations = await hydrateSnapshotPage(items);
+    if (assignment) recordExposure(assignment, userId);
+    const recId = recordImpression(userId, {
+      surface: 'recommendations',
+      strategy: snapshot.type,
+      items: recommendations,
+      offset,
+      assignment,
+    });
+    res.status(status).json({
+      type: snapshot.type,
+      recId,
+      recommendations,
+      ...pagination,
+      ...(experiment && { experiment }),
+      // Echoed back when the re-ranker ran, so ?diversify=false can be compared.
+      ...(snapshot.diversity && { diversity: snapshot.diversity }),
+    });
+  };
 
   try {
-    const interactions = await Interaction.find({ userId }).sort({ timestamp: -1 });
-    const count = interactions.length;
+    let snapshot = cursor && (await snapshotCache.get(snapshotKey('recommendations', userId, cursor.snapshotId)));
+    if (!snapshot) snapshot = await startRecommendationSnapshot(userId, query, limit, assignment);
+    const filters = snapshot.filters;
+    await send(
+      await extendSnapshot(snapshot, offset + limit, {
+        build: depth => buildRecommendationList(userId, filters, assignment, depth),
+        maxDepth: MAX_CANDIDATE_DEPTH,
+      })
+    );
+  } catch (err) {
+    console.error('🔥 Critical /recommendations error:', err);
+    const filter = buildFilters(query);
+    const list = await popularityList('error_fallback_popular', MAX_CANDIDATE_DEPTH, filter, null);
+    await send({ id: newSnapshotId(), filters: { query, filter, limit }, depth: MAX_CANDIDATE_DEPTH, ...list }, 500);
+  }
+});
 
-    // 🧊 Cold Start
-    if (count < COLD_START_THRESHOLD) {
-      let recs = [];
-      let type = 'cold_start_popular';
+// Cache internals are for operators only.
+app.get('/api/admin/cache/stats', (req, res) => {
+  res.json({
+    candidates: candidateCache.stats(),
+    cbf: cbfCache.stats(),
+    home: homeCache.stats(),
+    snapshots: snapshotCache.stats(),
+  });
+});
 
-      if (count > 0) {
-        const cbf = await getPythonRecos('/cbf', interactions[0].itemId);
-        if (cbf) {
-          recs = await hydrateItems([...new Set(cbf)], page, limit, brandFilter);
-          type = 'cold_start_cbf';
-        }
-      }
+// --- 12️⃣.1 HOME PAGE (multi-shelf) ---
+// Shelves in display order; each phone appears only on the first shelf that
+// lists it. The layout (ids only) is cached per user and filter for first
+// loads, and kept as a snapshot that shelf cursors page through, so paging
+// one shelf stays consistent with the others.
+const HOME_PAGE_SIZE = 8;
+const HOME_HISTORY_LIMIT = 200;
+
+const buildHomeLayout = async (userId, query, assignment) => {
+  const filter = buildFilters(query);
+  const [set, interactions] = await Promise.all([
+    getCandidateSet(userId, query, assignment),
+    Interaction.find({ userId }).sort({ timestamp: -1 }).limit(HOME_HISTORY_LIMIT).lean(),
+  ]);
+  const exclusions = { items: new Set(set.excludedItems), brands: new Set(set.excludedBrands) };
+  // Extra items so shelves are still full after de-duplication.
+  const fetchLimit = MAX_SHELF_ITEMS * 2;
+  const toItems = docs => docs.map(m => ({ itemId: m.url }));
+  const shelves = [];
+
+  // Just for you: the /api/recommendations strategy. Cold-start users get
+  // the popularity shelf here; their CBF picks show up as "Because you viewed".
+  if (set.strategy === 'hybrid') {
+    const scoreMap = new Map(set.candidates.map(c => [c.itemId, c]));
+    const docs = await hydrateItems(set.candidates.map(c => c.itemId), 1, fetchLimit, filter, exclusions);
+    shelves.push({
+      id: 'just_for_you',
+      type: set.source === 'js' ? 'js_fallback_hybrid' : 'hybrid_warm_start',
+      title: 'Just for you',
+      items: docs.map(m => ({ itemId: m.url, score: scoreMap.get(m.url).score, reasons: scoreMap.get(m.url).reasons })),
+    });
+  } else {
+    const profile = set.strategy === 'cold_start' ? set.profile : null;
+    const docs = await getPopularityFallback(fetchLimit, filter, 1, exclusions, profile);
+    shelves.push({
+      id: 'just_for_you',
+      type: set.strategy === 'cf_unavailable' ? 'error_fallback_popular' : hasPreferences(profile) ? 'cold_start_profile' : 'cold_start_popular',
+      title: 'Just for you',
+      items: toItems(docs),
+    });
+  }
+
+  const seeds = recentItems(interactions, ['view', 'click'], BECAUSE_YOU_VIEWED_SEEDS);
+  const historyDocs = await Mobile.find(
+    { url: { $in: [...new Set(interactions.map(it => it.itemId))] } },
+    'url Brand Model'
+  ).lean();
+  const byUrl = new Map(historyDocs.map(m => [m.url, m]));
+  const similar = await Promise.all(seeds.map(seed => getSimilarItems(seed)));
+  for (const [i, seed] of seeds.entries()) {
+    if (!byUrl.has(seed) || !similar[i].items) continue;
+    const docs = await hydrateItems(similar[i].items, 1, fetchLimit, filter, exclusions);
+    shelves.push({
+      id: `because_you_viewed_${i + 1}`,
+      type: 'because_you_viewed',
+      title: `Because you viewed ${byUrl.get(seed).Brand} ${byUrl.get(seed).Model}`,
+      seedItemId: seed,
+      items: toItems(docs),
+    });
+  }
+
+  // Phones the user already looked at, so the viewed-days exclusion does not apply.
+  const browsing = await hydrateItems(continueBrowsing(interactions), 1, MAX_SHELF_ITEMS, filter);
+  shelves.push({ id: 'continue_browsing', type: 'continue_browsing', title: 'Continue browsing', items: toItems(browsing) });
+
+  const popularityFilter = { ...filter, ...(exclusions.items.size && { url: { $nin: [...exclusions.items] } }) };
+  if (!filter.Brand && exclusions.brands.size) popularityFilter.Brand = { $nin: [...exclusions.brands] };
+  const popularityItems = async ({ match = {}, sort }) =>
+    toItems(await Mobile.find({ ...match, ...popularityFilter }, 'url').sort(sort).limit(fetchLimit).lean());
+
+  shelves.push({
+    id: 'trending',
+    type: 'trending_now',
+    title: 'Trending now',
+    items: await popularityItems(POPULARITY_SHELVES.trending),
+  });
+
+  // The favourite brand, or the first filtered brand when the filter leaves it out.
+  const favourite = favouriteBrand(interactions, new Map(historyDocs.map(m => [m.url, m.Brand])), set.profile);
+  const filteredBrands = filter.Brand?.$in;
+  const brand = filteredBrands && !filteredBrands.includes(favourite) ? filteredBrands[0] : favourite;
+  if (brand && (filteredBrands || !exclusions.brands.has(brand))) {
+    const popular = await getPopularityFallback(fetchLimit, { ...filter, Brand: brand }, 1, exclusions);
+    shelves.push({ id: 'popular_in_brand', type: 'popular_in_brand', title: `Popular in ${brand}`, items: toItems(popular) });
+  }
+
+  shelves.push(
+    { id: 'top_rated', type: 'top_rated', title: 'Top rated', items: await popularityItems(POPULARITY_SHELVES.topRated) },
+    { id: 'new_launches', type: 'new_launches', title: 'New launches', items: await popularityItems(POPULARITY_SHELVES.newLaunches) }
+  );
 
-      if (recs.length === 0)
-        recs = await getPopularityFallback(limit, brandFilter, page);
-      return res.status(200).json({ type, recommendations: recs });
+  return { id: newSnapshotId(), degraded: !!set.degraded, shelves: dedupeShelves(shelves) };
+};
+
+// query: the layout's params (see listQuery); kept on the layout so shelf
+// cursors can rebuild it with the same filters once the snapshot expired.
+const getHomeLayout = async (userId, query, assignment) => {
+  const layoutKey = JSON.stringify({
+    filter: buildFilters(query),
+    policy: resolveExclusionPolicy(query),
+    overrides: assignment?.overrides ?? null,
+  });
+  const since = homeCache.version(userId);
+  const cached = await homeCache.get(userId);
+  if (cached && cached.layoutKey === layoutKey) return cached;
+
+  const layout = { ...(await buildHomeLayout(userId, query, assignment)), query };
+  if (!layout.degraded) await homeCache.set(userId, { ...layout, layoutKey }, { since });
+  await snapshotCache.set(snapshotKey('home', userId, layout.id), layout);
+  return layout;
+};
+
+const serveHomeShelf = async (userId, layout, shelf, offset, limit, assignment) => {
+  const { items, ...pagination } = paginate(shelf.items, {
+    snapshotId: layout.id,
+    offset,
+    limit,
+    shelf: shelf.id,
+    query: layout.query,
+  });
+  const recommendations = await hydrateSnapshotPage(items);
+  const recId = recordImpression(userId, {
+    surface: 'home',
+    strategy: shelf.type,
+    items: recommendations,
+    offset,
+    seedItemId: shelf.seedItemId,
+    assignment,
+  });
+  return {
+    id: shelf.id,
+    title: shelf.title,
+    type: shelf.type,
+    ...(shelf.seedItemId && { seedItemId: shelf.seedItemId }),
+    recId,
+    ...pagination,
+    recommendations,
+  };
+};
+
+// Without ?cursor or ?shelf every shelf's first page. A shelf's cursor (or
+// ?shelf=<id>&page=N against the current layout) returns one page of it.
+app.get('/api/home', authMiddleware, async (req, res) => {
+  const userId = req.userData.userId;
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor?.shelf) return res.status(400).json({ message: 'Invalid cursor.' });
+  const limit = Math.min(parseInt(req.query.limit) || HOME_PAGE_SIZE, 25);
+  const assignment = experiments.assign(userId);
+  const experiment = assignment && { key: assignment.experiment, variant: assignment.variant };
+
+  try {
+    // An expired snapshot falls back to the current layout for the cursor's
+    // filters, at the same place.
+    const layout =
+      (cursor && (await snapshotCache.get(snapshotKey('home', userId, cursor.snapshotId)))) ||
+      (await getHomeLayout(userId, cursor ? cursor.query : listQuery(req.query), assignment));
+    if (assignment) recordExposure(assignment, userId);
+
+    const shelfId = cursor ? cursor.shelf : req.query.shelf;
+    if (shelfId) {
+      const shelf = layout.shelves.find(s => s.id === shelfId);
+      if (!shelf) return res.status(404).json({ message: 'Unknown shelf.' });
+      const offset = cursor ? cursor.offset : (Math.max(parseInt(req.query.page) || 1, 1) - 1) * limit;
+      return res.json(await serveHomeShelf(userId, layout, shelf, offset, limit, assignment));
     }
+    const shelves = await Promise.all(layout.shelves.map(s => serveHomeShelf(userId, layout, s, 0, limit, assignment)));
+    res.json({ shelves, ...(experiment && { experiment }) });
+  } catch (err) {
+    console.error('🔥 /home error:', err);
+    res.status(500).json({ message: 'Error building the home page.' });
+  }
+});
 
-    // 🔥 Warm Start (Hybrid)
-    const cf = await getPythonRecos('/cf', userId);
-    if (!cf) {
-      return res.status(200).json({
-        type: 'error_fallback_popular',
-        recommendations: await getPopularityFallback(limit, brandFilter, page),
-      });
+// --- 12️⃣.2 EXPERIMENTS (admin) ---
+// At most one experiment runs at a time; its variants override the hybrid
+// weights / cold-start threshold for the users bucketed into them.
+app.get('/api/admin/experiments', async (req, res) => {
+  try {
+    const list = await Experiment.find({}).sort({ createdAt: -1 }).lean();
+    res.json({ experiments: list });
+  } catch (err) {
+    console.error('❌ Experiment list error:', err);
+    res.status(500).json({ message: 'Server error loading experiments.' });
+  }
+});
+
+// Creates or replaces an experiment. Variants cannot change while it runs,
+// since that would reshuffle users between arms mid-test.
+app.put('/api/admin/experiments/:key', async (req, res) => {
+  const { experiment, errors } = normalizeExperiment(req.params.key, req.body || {});
+  if (errors) return res.status(400).json({ message: 'Invalid experiment.', errors });
+
+  try {
+    const existing = await Experiment.findOne({ key: experiment.key }).lean();
+    if (existing?.status === 'running' && experiment.status === 'running' &&
+        JSON.stringify(existing.variants) !== JSON.stringify(experiment.variants))
+      return res.status(409).json({ message: 'Stop the experiment before changing its variants.' });
+
+    if (experiment.status === 'running') {
+      const other = await Experiment.findOne({ status: 'running', key: { $ne: experiment.key } }).lean();
+      if (other)
+        return res.status(409).json({ message: `Experiment "${other.key}" is already running.` });
     }
 
-    const recent = [...new Set(interactions.slice(0, 3).map(i => i.itemId))];
-    const cbfSet = new Set();
-    const cbfRes = await Promise.all(recent.map(id => getPythonRecos('/cbf', id)));
-    cbfRes.forEach(list => list && list.forEach(id => cbfSet.add(id)));
+    const timestamps = {};
+    if (experiment.status === 'running' && existing?.status !== 'running') timestamps.startedAt = new Date();
+    if (experiment.status === 'stopped' && existing?.status === 'running') timestamps.stoppedAt = new Date();
 
-    const blended = cf
-      .map(id => ({
-        itemId: id,
-        score: cbfSet.has(id) ? 1 : 0,
-      }))
-      .sort((a, b) => b.score - a.score)
-      .map(r => r.itemId);
+    const saved = await Experiment.findOneAndUpdate(
+      { key: experiment.key },
+      { $set: { ...experiment, ...timestamps } },
+      { upsert: true, new: true }
+    ).lean();
+    await reloadExperiments();
+    res.status(existing ? 200 : 201).json({ experiment: saved });
+  } catch (err) {
+    console.error('❌ Experiment save error:', err);
+    res.status(500).json({ message: 'Server error saving experiment.' });
+  }
+});
 
-    const uniqueBlended = [...new Set(blended)];
-    const recommendations = await hydrateItems(uniqueBlended, page, limit, brandFilter);
+// Per variant: exposed users and shelves served, then clicks / carts /
+// purchases from interactions tagged with that variant.
+// ctr = clicks per shelf served; purchaseRate = share of exposed users who bought.
+app.get('/api/admin/experiments/:key/report', async (req, res) => {
+  try {
+    const experiment = await Experiment.findOne({ key: req.params.key }).lean();
+    if (!experiment) return res.status(404).json({ message: 'Experiment not found.' });
 
-    if (recommendations.length === 0)
-      return res.status(200).json({
-        type: 'hybrid_fallback_popular',
-        recommendations: await getPopularityFallback(limit, brandFilter, page),
-      });
+    const [exposures, events] = await Promise.all([
+      ExperimentExposure.aggregate([
+        { $match: { experiment: experiment.key } },
+        { $group: { _id: '$variant', users: { $sum: 1 }, served: { $sum: '$served' } } },
+      ]),
+      Interaction.aggregate([
+        { $match: { experiment: experiment.key, interactionType: { $in: ['click', 'cart', 'purchase'] } } },
+        {
+          $group: {
+            _id: { variant: '$variant', type: '$interactionType' },
+            count: { $sum: 1 },
+            users: { $addToSet: '$userId' },
+          },
+        },
+        { $project: { count: 1, users: { $size: '$users' } } },
+      ]),
+    ]);
+
+    const variants = experiment.variants.map(v => {
+      const exposure = exposures.find(e => e._id === v.name) || { users: 0, served: 0 };
+      const byType = type => events.find(e => e._id.variant === v.name && e._id.type === type) || { count: 0, users: 0 };
+      const clicks = byType('click');
+      const carts = byType('cart');
+      const purchases = byType('purchase');
+      return {
+        variant: v.name,
+        params: v.params,
+        exposedUsers: exposure.users,
+        served: exposure.served,
+        clicks: clicks.count,
+        carts: carts.count,
+        purchases: purchases.count,
+        ctr: rate(clicks.count, exposure.served),
+        cartRate: rate(carts.users, exposure.users),
+        purchaseRate: rate(purchases.users, exposure.users),
+      };
+    });
 
-    res.status(200).json({ type: 'hybrid_warm_start', recommendations });
+    res.json({
+      experiment: {
+        key: experiment.key,
+        status: experiment.status,
+        startedAt: experiment.startedAt,
+        stoppedAt: experiment.stoppedAt,
+      },
+      variants,
+    });
   } catch (err) {
-    console.error('🔥 Critical /recommendations error:', err);
-    res.status(500).json({
-      type: 'error_fallback_popular',
-      recommendations: await getPopularityFallback(limit, brandFilter, page),
+    console.error('❌ Experiment report error:', err);
+    res.status(500).json({ message: 'Server error building report.' });
+  }
+});
+
+// --- 12️⃣.3 CLICK-THROUGH (admin) ---
+// CTR of recommendation shelves over the last `days` (default 30), by
+// strategy (the response `type`), position and brand. A click or cart event
+// counts once per shown item, and only when it carries that shelf's recId.
+app.get('/api/admin/analytics/ctr', async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), IMPRESSION_RETENTION_DAYS);
+  const since = new Date(Date.now() - days * 86400000);
+  const surface = req.query.surface || null;
+  const impressionMatch = { servedAt: { $gte: since }, ...(surface && { surface }) };
+
+  try {
+    const [impressionRows, eventRows] = await Promise.all([
+      Impression.aggregate([
+        { $match: impressionMatch },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { strategy: '$strategy', position: '$items.position', brand: '$items.brand' },
+            impressions: { $sum: 1 },
+          },
+        },
+      ]),
+      Interaction.aggregate([
+        { $match: { recId: { $exists: true }, interactionType: { $in: ['click', 'cart'] }, timestamp: { $gte: since } } },
+        { $group: { _id: { recId: '$recId', itemId: '$itemId', type: '$interactionType' } } },
+        { $lookup: { from: 'impressions', localField: '_id.recId', foreignField: 'recId', as: 'impression' } },
+        { $unwind: '$impression' },
+        { $match: Object.fromEntries(Object.entries(impressionMatch).map(([k, v]) => [`impression.${k}`, v])) },
+        {
+          $project: {
+            type: '$_id.type',
+            strategy: '$impression.strategy',
+            item: {
+              $arrayElemAt: [
+                { $filter: { input: '$impression.items', cond: { $eq: ['$$this.itemId', '$_id.itemId'] } } },
+                0,
+              ],
+            },
+          },
+        },
+        { $match: { item: { $ne: null } } },
+        {
+          $group: {
+            _id: { strategy: '$strategy', position: '$item.position', brand: '$item.brand', type: '$type' },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+    ]);
+
+    res.json({
+      since,
+      surface: surface || 'all',
+      totals: rollupCtr(impressionRows, eventRows)[0] || null,
+      byStrategy: rollupCtr(impressionRows, eventRows, 'strategy'),
+      byPosition: rollupCtr(impressionRows, eventRows, 'position'),
+      byBrand: rollupCtr(impressionRows, eventRows, 'brand'),
     });
+  } catch (err) {
+    console.error('❌ CTR analytics error:', err);
+    res.status(500).json({ message: 'Server error building CTR report.' });
   }
 });
 
+// --- 12️⃣.4 ADMIN DASHBOARD ---
+const ADMIN_TOP_TYPES = ['view', 'cart', 'purchase'];
+
+// `days` bounds the activity window; `days=all` covers everything (imported
+// interactions without a timestamp only show up there).
+const parseWindow = query => {
+  if (query.days === 'all') return { days: null, since: null };
+  const days = Math.min(Math.max(parseInt(query.days) || 30, 1), 365);
+  return { days, since: new Date(Date.now() - days * 86400000) };
+};
+
+app.get('/api/admin/overview', async (req, res) => {
+  const { days, since } = parseWindow(req.query);
+  const inWindow = since ? { timestamp: { $gte: since } } : {};
+
+  try {
+    const [volumeRows, topRows, activeUsers, perUser, userIds, recoTypes, catalogSize] = await Promise.all([
+      since
+        ? Interaction.aggregate([
+            { $match: inWindow },
+            {
+              $group: {
+                _id: { date: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, type: '$interactionType' },
+                count: { $sum: 1 },
+              },
+            },
+          ])
+        : [],
+      Interaction.aggregate([
+        { $match: { ...inWindow, interactionType: { $in: ADMIN_TOP_TYPES } } },
+        { $group: { _id: { itemId: '$itemId', type: '$interactionType' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        {
+          $facet: Object.fromEntries(
+            ADMIN_TOP_TYPES.map(type => [type, [{ $match: { '_id.type': type } }, { $limit: 10 }]])
+          ),
+        },
+      ]),
+      Interaction.distinct('userId', inWindow),
+      // Segments use all-time counts of distinct phones, like the cold-start
+      // check itself.
+      Interaction.aggregate([
+        { $group: { _id: { userId: '$userId', itemId: '$itemId' } } },
+        { $group: { _id: '$_id.userId', count: { $sum: 1 } } },
+      ]),
+      User.distinct('userId'),
+      Impression.aggregate([
+        { $match: { surface: 'recommendations', ...(since && { servedAt: { $gte: since } }) } },
+        { $group: { _id: '$strategy', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ]),
+      Mobile.countDocuments(),
+    ]);
+
+    const topIds = [...new Set(ADMIN_TOP_TYPES.flatMap(type => topRows[0][type].map(r => r._id.itemId)))];
+    const names = new Map(
+      (await Mobile.find({ url: { $in: topIds } }, 'Brand Model url').lean()).map(m => [m.url, `${m.Brand} ${m.Model}`])
+    );
+    const topItems = Object.fromEntries(
+      ADMIN_TOP_TYPES.map(type => [
+        type,
+        topRows[0][type].map(r => ({ itemId: r._id.itemId, name: names.get(r._id.itemId) || r._id.itemId, count: r.count })),
+      ])
+    );
+
+    res.json({
+      window: { days, since },
+      volume: since ? dailySeries(volumeRows, since, days, INTERACTION_TYPES) : [],
+      topItems,
+      activeUsers: activeUsers.length,
+      users: segmentUsers(perUser, userIds, COLD_START_THRESHOLD),
+      recommendationTypes: recoTypes.map(r => ({ type: r._id, count: r.count })),
+      catalog: { mobiles: catalogSize },
+    });
+  } catch (err) {
+    console.error('❌ Admin overview error:', err);
+    res.status(500).json({ message: 'Server error building overview.' });
+  }
+});
+
+app.get('/api/admin/users', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+  try {
+    const [total, users] = await Promise.all([
+      User.countDocuments(),
+      User.find({}, 'userId username role').sort({ _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    ]);
+    const activity = await Interaction.aggregate([
+      { $match: { userId: { $in: users.map(u => u.userId) } } },
+      {
+        $group: {
+          _id: '$userId',
+          interactions: { $sum: 1 },
+          items: { $addToSet: '$itemId' },
+          lastActiveAt: { $max: '$timestamp' },
+        },
+      },
+    ]);
+    const byUser = new Map(activity.map(a => [a._id, a]));
+    res.json({
+      total,
+      page,
+      limit,
+      users: users.map(u => {
+        const activity = byUser.get(u.userId);
+        return {
+          ...formatUser(u),
+          interactions: activity?.interactions || 0,
+          lastActiveAt: activity?.lastActiveAt || null,
+          segment: (activity?.items.length || 0) < COLD_START_THRESHOLD ? 'cold_start' : 'warm_start',
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('❌ Admin users error:', err);
+    res.status(500).json({ message: 'Server error loading users.' });
+  }
+});
+
+app.put('/api/admin/users/:userId/role', async (req, res) => {
+  const { role } = req.body || {};
+  if (!USER_ROLES.includes(role))
+    return res.status(400).json({ message: `role must be one of: ${USER_ROLES.join(', ')}.` });
+  if (req.params.userId === req.userData.userId && role !== 'admin')
+    return res.status(400).json({ message: 'You cannot remove your own admin role.' });
+  try {
+    const user = await User.findOneAndUpdate({ userId: req.params.userId }, { $set: { role } }, { new: true }).lean();
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    res.json({ user: formatUser(user) });
+  } catch (err) {
+    console.error('❌ Role update error:', err);
+    res.status(500).json({ message: 'Server error updating role.' });
+  }
+});
+
+// --- 12️⃣.5 CATALOG ADMIN ---
+const CATALOG_IMPORT_MAX_ROWS = 20000;
+
+// ?deleted=include|only; q matches brand or model.
+app.get('/api/admin/mobiles', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+  const filter = {};
+  if (req.query.deleted === 'only') filter.deleted = true;
+  else if (req.query.deleted !== 'include') Object.assign(filter, NOT_DELETED);
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(String(req.query.q)), 'i');
+    filter.$or = [{ Brand: pattern }, { Model: pattern }];
+  }
+  try {
+    const [total, mobiles] = await Promise.all([
+      Mobile.countDocuments(filter).setOptions({ withDeleted: true }),
+      Mobile.find(filter)
+        .setOptions({ withDeleted: true })
+        .sort({ Brand: 1, Model: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+    res.json({ total, page, limit, mobiles });
+  } catch (err) {
+    console.error('❌ Admin catalog list error:', err);
+    res.status(500).json({ message: 'Server error listing mobiles.' });
+  }
+});
+
+app.post('/api/admin/mobiles', async (req, res) => {
+  const { mobile, errors, ignored } = normalizeMobile(req.body);
+  if (errors) return res.status(400).json({ message: 'Invalid mobile.', errors });
+  try {
+    if (await Mobile.exists({ url: mobile.url }).setOptions({ withDeleted: true }))
+      return res.status(409).json({ message: 'A mobile with this url already exists (it may be deleted; restore it instead).' });
+    const created = await Mobile.create({ ...mobile, ...deriveSpecFields(mobile) });
+    refreshCatalogIndexes();
+    res.status(201).json({ mobile: created.toObject(), ignored });
+  } catch (err) {
+    console.error('❌ Admin catalog create error:', err);
+    res.status(500).json({ message: 'Server error creating mobile.' });
+  }
+});
+
+// Partial update; fields sent as null or "" are removed. The url is the
+// item id used by interactions, so it cannot change.
+app.put('/api/admin/mobiles/:id', async (req, res) => {
+  const { mobile, unset, errors, ignored } = normalizeMobile(req.body, { partial: true });
+  if (errors) return res.status(400).json({ message: 'Invalid mobile.', errors });
+  try {
+    const existing = await Mobile.findOne(mobileLookup(req.params.id)).setOptions({ withDeleted: true }).lean();
+    if (!existing) return res.status(404).json({ message: 'Mobile not found.' });
+    if (mobile.url && mobile.url !== existing.url)
+      return res.status(400).json({ message: 'url cannot be changed.' });
+
+    const merged = { ...existing, ...mobile };
+    unset.forEach(field => delete merged[field]);
+    const update = { $set: { ...mobile, ...deriveSpecFields(merged) } };
+    if (unset.length) update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+    const updated = await Mobile.findOneAndUpdate({ _id: existing._id }, update, { new: true })
+      .setOptions({ withDeleted: true })
+      .lean();
+    refreshCatalogIndexes();
+    res.json({ mobile: updated, ignored });
+  } catch (err) {
+    console.error('❌ Admin catalog update error:', err);
+    res.status(500).json({ message: 'Server error updating mobile.' });
+  }
+});
+
+// Soft delete: the document stays so interactions keep resolving, but it is
+// hidden everywhere else.
+const setDeleted = deleted => async (req, res) => {
+  try {
+    const updated = await Mobile.findOneAndUpdate(
+      mobileLookup(req.params.id),
+      deleted ? { $set: { deleted: true, deletedAt: new Date() } } : { $set: { deleted: false }, $unset: { deletedAt: '' } },
+      { new: true }
+    )
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (!updated) return res.status(404).json({ message: 'Mobile not found.' });
+    refreshCatalogIndexes();
+    res.json({ mobile: updated });
+  } catch (err) {
+    console.error('❌ Admin catalog delete/restore error:', err);
+    res.status(500).json({ message: 'Server error updating mobile.' });
+  }
+};
+app.delete('/api/admin/mobiles/:id', setDeleted(true));
+app.post('/api/admin/mobiles/:id/restore', setDeleted(false));
+
+// Bulk import of a Mongo export (JSON array or one document per line) or a
+// CSV with a header row; `?format=json|csv` overrides the Content-Type.
+// Valid rows are upserted by url (restoring soft-deleted ones); invalid rows
+// are skipped and reported. `?dryRun=true` only validates.
+app.post(
+  CATALOG_IMPORT_PATH,
+  express.text({ type: () => true, limit: `${CATALOG_IMPORT_MAX_MB}mb` }),
+  async (req, res) => {
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+    if (!['json', 'csv'].includes(format))
+      return res.status(400).json({ message: 'format must be json or csv.' });
+    const dryRun = req.query.dryRun === 'true';
+
+    let rows;
+    try {
+      rows = format === 'csv' ? parseCsv(String(req.body || '')) : parseMongoExport(String(req.body || ''));
+    } catch (err) {
+      return res.status(400).json({ message: `Could not parse ${format.toUpperCase()}: ${err.message}` });
+    }
+    if (rows.length === 0) return res.status(400).json({ message: 'No rows found.' });
+    if (rows.length > CATALOG_IMPORT_MAX_ROWS)
+      return res.status(413).json({ message: `At most ${CATALOG_IMPORT_MAX_ROWS} rows per import.` });
+
+    // Rows are numbered from 1 (the CSV header is not counted).
+    const errors = [];
+    const warnings = [];
+    const seen = new Map();
+    const valid = [];
+    rows.forEach((input, i) => {
+      const row = i + 1;
+      const result = normalizeMobile(input);
+      if (result.errors) return errors.push({ row, url: input?.url || null, errors: result.errors });
+      if (seen.has(result.mobile.url))
+        return errors.push({ row, url: result.mobile.url, errors: [`Duplicate url (first seen in row ${seen.get(result.mobile.url)}).`] });
+      seen.set(result.mobile.url, row);
+      if (result.ignored.length) warnings.push({ row, url: result.mobile.url, ignoredFields: result.ignored });
+      valid.push(result.mobile);
+    });
+
+    const report = { dryRun, received: rows.length, valid: valid.length, failed: errors.length, inserted: 0, updated: 0, unchanged: 0, errors, warnings };
+    if (dryRun || valid.length === 0) return res.status(valid.length ? 200 : 400).json(report);
+
+    try {
+      const result = await Mobile.bulkWrite(
+        valid.map(mobile => ({
+          updateOne: {
+            filter: { url: mobile.url },
+            update: { $set: { ...mobile, deleted: false }, $unset: { deletedAt: '' } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      // Rows may omit fields the stored phone still has, so derive from the
+      // merged documents.
+      await backfillSpecFields(Mobile.collection, { filter: { url: { $in: valid.map(m => m.url) } }, force: true });
+      report.inserted = result.upsertedCount;
+      report.updated = result.modifiedCount;
+      report.unchanged = result.matchedCount - result.modifiedCount;
+      refreshCatalogIndexes();
+      console.log(`📦 Catalog import: ${report.inserted} inserted, ${report.updated} updated, ${report.failed} failed`);
+      res.json(report);
+    } catch (err) {
+      console.error('❌ Catalog import error:', err);
+      res.status(500).json({ message: 'Server error importing mobiles.', ...report });
+    }
+  }
+);
+
+// --- 12️⃣.6 HEALTH ---
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+app.get('/api/health', async (req, res) => {
+  const mongoState = MONGO_STATES[mongoose.connection.readyState] || 'unknown';
+  const model = await inference.checkHealth();
+  const breaker = inference.breakerStatus();
+  const modelHealthy = model.reachable && breaker.state !== 'open';
+
+  const status = mongoState !== 'connected' ? 'down' : modelHealthy ? 'ok' : 'degraded';
+  res.status(status === 'down' ? 503 : 200).json({
+    status,
+    mongo: { state: mongoState },
+    modelService: { url: PYTHON_API_URL, ...model, circuit: breaker },
+    jsFallback: jsRecommender.status(),
+    searchIndex: searchIndex.status(),
+  });
+});
+
 // --- 13️⃣ Connect DB + Start Server ---
 mongoose
   .connect(MONGO_URI)
@@ -333,5 +2203,18 @@ mongoose
       console.log(`🗄️  Connected to MongoDB at: ${MONGO_URI}`);
       console.log(`🤖 Python API: ${PYTHON_API_URL}`);
     });
+    refreshJsRecommender();
+    setInterval(refreshJsRecommender, JS_RECO_REFRESH_MINUTES * 60000).unref();
+    refreshSearchIndex();
+    setInterval(refreshSearchIndex, JS_RECO_REFRESH_MINUTES * 60000).unref();
+    setInterval(refreshPopularity, POPULARITY_REFRESH_MINUTES * 60000).unref();
+    reloadExperiments();
+    // Popularity reads launchDate, so it waits for the backfill.
+    backfillSpecFields(Mobile.collection)
+      .then(({ updated }) => updated && console.log(`🔢 Derived spec fields computed for ${updated} mobiles`))
+      .catch(err => console.error('❌ Spec field backfill failed:', err.message))
+      .then(refreshPopularity);
+    // Picks up experiments changed by another backend instance.
+    setInterval(reloadExperiments, 60000).unref();
   })
   .catch(err => console.error('❌ MongoDB connection failed:', err));
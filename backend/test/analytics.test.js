@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rate, rollupCtr, dailySeries, segmentUsers } = require('../lib/analytics');
+
+const impressions = [
+  { _id: { strategy: 'hybrid', position: 1, brand: 'Samsung' }, impressions: 100 },
+  { _id: { strategy: 'hybrid', position: 0, brand: 'Nokia' }, impressions: 50 },
+  { _id: { strategy: 'popular', position: 0, brand: 'Samsung' }, impressions: 200 },
+];
+const events = [
+  { _id: { strategy: 'hybrid', position: 1, brand: 'Samsung', type: 'click' }, count: 10 },
+  { _id: { strategy: 'hybrid', position: 0, brand: 'Nokia', type: 'cart' }, count: 5 },
+  { _id: { strategy: 'popular', position: 0, brand: 'Samsung', type: 'click' }, count: 20 },
+  { _id: { strategy: 'popular', position: 0, brand: 'Samsung', type: 'view' }, count: 99 },
+];
+
+describe('rate', () => {
+  it('is 0 without a denominator', () => {
+    assert.equal(rate(3, 0), 0);
+    assert.equal(rate(1, 4), 0.25);
+  });
+});
+
+describe('rollupCtr', () => {
+  it('sums everything without a dimension', () => {
+    assert.deepEqual(rollupCtr(impressions, events), [
+      { impressions: 350, clicks: 30, carts: 5, ctr: 30 / 350, cartRate: 5 / 350 },
+    ]);
+  });
+
+  it('groups by strategy, most impressions first', () => {
+    assert.deepEqual(
+      rollupCtr(impressions, events, 'strategy').map(r => [r.strategy, r.impressions, r.clicks, r.carts]),
+      [
+        ['popular', 200, 20, 0],
+        ['hybrid', 150, 10, 5],
+      ]
+    );
+  });
+
+  it('orders positions from the top of the shelf', () => {
+    assert.deepEqual(
+      rollupCtr(impressions, events, 'position').map(r => [r.position, r.ctr]),
+      [
+        [0, 20 / 250],
+        [1, 0.1],
+      ]
+    );
+  });
+
+  it('keeps events whose impressions fell outside the window', () => {
+    const [row] = rollupCtr([], [events[0]], 'brand');
+    assert.deepEqual(row, { brand: 'Samsung', impressions: 0, clicks: 10, carts: 0, ctr: 0, cartRate: 0 });
+  });
+});
+
+describe('dailySeries', () => {
+  it('fills every day of the window, oldest first', () => {
+    const series = dailySeries(
+      [
+        { _id: { date: '2026-03-02', type: 'view' }, count: 4 },
+        { _id: { date: '2026-03-02', type: 'purchase' }, count: 1 },
+        { _id: { date: '2026-03-03', type: 'view' }, count: 2 },
+        { _id: { date: '2026-02-01', type: 'view' }, count: 9 },
+      ],
+      new Date('2026-03-01T18:30:00Z'),
+      2,
+      ['view', 'purchase']
+    );
+    assert.deepEqual(series, [
+      { date: '2026-03-01', total: 0, view: 0, purchase: 0 },
+      { date: '2026-03-02', total: 5, view: 4, purchase: 1 },
+      { date: '2026-03-03', total: 2, view: 2, purchase: 0 },
+    ]);
+  });
+});
+
+describe('segmentUsers', () => {
+  it('splits users at the cold-start threshold', () => {
+    const perUser = [
+      { _id: 'u1', count: 5 },
+      { _id: 'u2', count: 4 },
+      { _id: 'imported', count: 7 },
+    ];
+    assert.deepEqual(segmentUsers(perUser, ['u1', 'u2', 'u3'], 5), {
+      total: 4,
+      registered: 3,
+      coldStart: 2,
+      warmStart: 2,
+      coldStartThreshold: 5,
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryLruStore, createCache } = require('../lib/cache');
+
+describe('MemoryLruStore', () => {
+  it('expires entries after their ttl', t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const store = new MemoryLruStore();
+    store.set('a', 1, 500);
+    now = 1499;
+    assert.equal(store.get('a'), 1);
+    now = 1500;
+    assert.equal(store.get('a'), undefined);
+    assert.equal(store.size, 0);
+  });
+
+  it('evicts the least recently used entry', () => {
+    const store = new MemoryLruStore({ maxEntries: 2 });
+    store.set('a', 1, 60000);
+    store.set('b', 2, 60000);
+    store.get('a');
+    store.set('c', 3, 60000);
+    assert.equal(store.get('b'), undefined);
+    assert.equal(store.get('a'), 1);
+    assert.equal(store.get('c'), 3);
+  });
+});
+
+describe('createCache', () => {
+  it('computes once and serves hits afterwards', async () => {
+    const cache = createCache({ name: 'test' });
+    let calls = 0;
+    const compute = async () => ++calls;
+    assert.equal(await cache.wrap('k', compute), 1);
+    assert.equal(await cache.wrap('k', compute), 1);
+    assert.deepEqual(cache.stats(), {
+      name: 'test',
+      hits: 1,
+      misses: 1,
+      invalidations: 0,
+      staleWrites: 0,
+      hitRate: 0.5,
+      size: 1,
+    });
+  });
+
+  it('does not cache empty results', async () => {
+    const cache = createCache();
+    await cache.wrap('k', async () => null);
+    assert.equal(await cache.get('k'), undefined);
+  });
+
+  it('drops a result whose key was invalidated while it was computed', async () => {
+    const cache = createCache();
+    let release;
+    const stale = cache.wrap('k', () => new Promise(resolve => (release = resolve)));
+    await new Promise(setImmediate);
+    await cache.del('k');
+    release('stale');
+    assert.equal(await stale, 'stale');
+    assert.equal(await cache.get('k'), undefined);
+    assert.equal(cache.stats().staleWrites, 1);
+
+    assert.equal(await cache.wrap('k', async () => 'fresh'), 'fresh');
+    assert.equal(await cache.get('k'), 'fresh');
+  });
+
+  it('stores writes made since the last invalidation', async () => {
+    const cache = createCache();
+    const since = cache.version('k');
+    assert.equal(await cache.set('k', 1, { since }), true);
+    await cache.del('k');
+    assert.equal(await cache.set('k', 2, { since }), false);
+    assert.equal(await cache.set('k', 3, { since: cache.version('k') }), true);
+  });
+});
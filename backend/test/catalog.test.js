@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFilters, buildCatalogPipeline, formatCatalogResult } = require('../lib/catalog');
+
+describe('buildFilters', () => {
+  it('turns query params into a Mongo match', () => {
+    assert.deepEqual(
+      buildFilters({ brand: 'Samsung, Nokia', minBattery: '3000', maxScreen: '6', wifi: 'yes', touchscreen: 'maybe', minYear: '2015' }),
+      {
+        Brand: { $in: ['Samsung', 'Nokia'] },
+        'Battery capacity (mAh)': { $gte: 3000 },
+        'Screen size (inches)': { $lte: 6 },
+        wifi: true,
+        launchYear: { $gte: 2015 },
+      }
+    );
+  });
+
+  it('accepts repeated params as a list', () => {
+    assert.deepEqual(buildFilters({ brand: ['Samsung', 'Nokia,Sony'] }), { Brand: { $in: ['Samsung', 'Nokia', 'Sony'] } });
+  });
+
+  it('prefers an exact year over a year range', () => {
+    assert.deepEqual(buildFilters({ year: '2016', minYear: '2010' }), { launchYear: 2016 });
+  });
+});
+
+describe('buildCatalogPipeline', () => {
+  const { pipeline, page, limit } = buildCatalogPipeline({
+    brand: 'Samsung',
+    wifi: 'yes',
+    minCores: '4',
+    page: '2',
+    limit: '500',
+    sort: 'battery',
+    order: 'asc',
+  });
+  const [{ $match: shared }, { $facet: facets }] = pipeline;
+
+  it('clamps paging', () => {
+    assert.equal(page, 2);
+    assert.equal(limit, 50);
+    assert.deepEqual(facets.items.slice(1), [
+      { $sort: { 'Battery capacity (mAh)': 1, _id: 1 } },
+      { $skip: 50 },
+      { $limit: 50 },
+    ]);
+  });
+
+  it('applies filters without a facet before faceting', () => {
+    assert.deepEqual(shared, { cpuCores: { $gte: 4 } });
+  });
+
+  it('applies every faceted filter to the items and total', () => {
+    const faceted = { Brand: { $in: ['Samsung'] }, wifi: true };
+    assert.deepEqual(facets.items[0], { $match: faceted });
+    assert.deepEqual(facets.total[0], { $match: faceted });
+  });
+
+  it('counts each facet without its own filter', () => {
+    assert.deepEqual(facets.brand[0], { $match: { wifi: true } });
+    assert.deepEqual(facets.wifi[0], { $match: { Brand: { $in: ['Samsung'] } } });
+    assert.deepEqual(facets.os[0], { $match: { Brand: { $in: ['Samsung'] }, wifi: true } });
+  });
+});
+
+describe('formatCatalogResult', () => {
+  it('reshapes the facet output', () => {
+    const result = formatCatalogResult(
+      [
+        {
+          items: [{ Model: 'Galaxy J2' }],
+          total: [{ count: 41 }],
+          brand: [{ _id: 'Samsung', count: 41 }],
+          battery: [{ _id: 1500, count: 41 }],
+        },
+      ],
+      1,
+      20
+    );
+    assert.deepEqual(result, {
+      items: [{ Model: 'Galaxy J2' }],
+      total: 41,
+      page: 1,
+      limit: 20,
+      totalPages: 3,
+      facets: { brand: [{ value: 'Samsung', count: 41 }], battery: [{ min: 1500, max: 2500, count: 41 }] },
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { COMPARE_ROWS, buildComparison } = require('../lib/compare');
+
+const phone = (url, fields) => ({ url, Brand: 'Brand', Model: url, ...fields });
+const row = (comparison, key) => comparison.rows.find(r => r.key === key);
+
+describe('buildComparison', () => {
+  const comparison = buildComparison([
+    phone('a', {
+      'Operating system': 'Android 6',
+      Processor: '1.2GHz quad-core',
+      'Rear camera': '13-megapixel',
+      'Battery capacity (mAh)': 3000,
+      'Screen size (inches)': 5.5,
+      Launched: 'May 2016',
+    }),
+    phone('b', {
+      Processor: '1.8GHz octa-core',
+      'Rear camera': '13-megapixel',
+      'Battery capacity (mAh)': 2000,
+      'Screen size (inches)': 5,
+      Launched: 'June 2016',
+    }),
+    phone('c', {
+      Processor: '2GHz octa-core',
+      'Rear camera': '8-megapixel',
+      'Battery capacity (mAh)': 3000,
+      Launched: '2015',
+    }),
+  ]);
+
+  it('lists the phones and one row per compared spec', () => {
+    assert.deepEqual(comparison.items.map(i => i.url), ['a', 'b', 'c']);
+    assert.deepEqual(comparison.rows.map(r => r.key), COMPARE_ROWS.map(r => r.key));
+  });
+
+  it('shows the raw values and null for missing ones', () => {
+    assert.deepEqual(row(comparison, 'os').values, ['Android 6', null, null]);
+    assert.deepEqual(row(comparison, 'rearCamera').values, ['13-megapixel', '13-megapixel', '8-megapixel']);
+    assert.deepEqual(row(comparison, 'cpuCores').values, [4, 8, 8]);
+  });
+
+  it('marks every phone tied for the best value', () => {
+    assert.deepEqual(row(comparison, 'battery').best, [0, 2]);
+    assert.deepEqual(row(comparison, 'rearCamera').best, [0, 1]);
+    assert.deepEqual(row(comparison, 'cpuClockGHz').best, [2]);
+    assert.deepEqual(row(comparison, 'launched').best, [1]);
+  });
+
+  it('marks nothing when all values tie', () => {
+    const tied = buildComparison([phone('a', { 'Battery capacity (mAh)': 3000 }), phone('b', { 'Battery capacity (mAh)': 3000 })]);
+    assert.deepEqual(row(tied, 'battery').best, []);
+  });
+
+  it('marks nothing when fewer than two phones have a value', () => {
+    assert.deepEqual(row(comparison, 'averageRating').best, []);
+    const single = buildComparison([phone('a', { 'Battery capacity (mAh)': 3000 }), phone('b', {})]);
+    assert.deepEqual(row(single, 'battery').best, []);
+  });
+
+  it('never marks rows without a better end', () => {
+    assert.deepEqual(row(comparison, 'screen').values, [5.5, 5, null]);
+    assert.deepEqual(row(comparison, 'screen').best, []);
+  });
+});
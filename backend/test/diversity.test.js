@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DIVERSITY_DEFAULTS,
+  MMR_WINDOW_PAGES,
+  diversityOptions,
+  explorationCandidates,
+  rotate,
+  diversify,
+} = require('../lib/diversity');
+
+const phone = (url, Brand) => ({ url, Brand });
+const noSimilarity = () => 0;
+
+describe('diversityOptions', () => {
+  it('falls back to the defaults', () => {
+    assert.deepEqual(diversityOptions({}), DIVERSITY_DEFAULTS);
+  });
+
+  it('reads and clamps the overrides', () => {
+    assert.deepEqual(diversityOptions({ diversify: 'Off', lambda: '2', brandCap: '2.6', explore: '-1' }), {
+      enabled: false,
+      lambda: 1,
+      brandCap: 3,
+      explorationSlots: 0,
+    });
+    assert.equal(diversityOptions({ lambda: 'abc' }).lambda, DIVERSITY_DEFAULTS.lambda);
+  });
+});
+
+describe('explorationCandidates', () => {
+  it('keeps phones rated at least the median, least shown first', () => {
+    const mobiles = [
+      { url: 'a', Brand: 'A', bayesianRating: 4, popularityScore: 1 },
+      { url: 'b', Brand: 'B', bayesianRating: 3, popularityScore: 5 },
+      { url: 'c', Brand: 'C', bayesianRating: 1, popularityScore: 9 },
+      { url: 'd', Brand: 'D', bayesianRating: 5, popularityScore: 2 },
+    ];
+    const exposure = new Map([['a', 10], ['d', 2]]);
+    assert.deepEqual(
+      explorationCandidates(mobiles, exposure).map(m => m.itemId),
+      ['d', 'a']
+    );
+  });
+});
+
+describe('rotate', () => {
+  it('is stable per seed and keeps every item', () => {
+    const list = ['a', 'b', 'c', 'd', 'e'];
+    assert.deepEqual(rotate(list, 'user-1'), rotate(list, 'user-1'));
+    assert.deepEqual([...rotate(list, 'user-1')].sort(), list);
+    assert.deepEqual(rotate([], 'user-1'), []);
+  });
+});
+
+describe('diversify', () => {
+  const items = [
+    phone('s1', 'Samsung'),
+    phone('s2', 'Samsung'),
+    phone('s3', 'Samsung'),
+    phone('n1', 'Nokia'),
+    phone('s4', 'Samsung'),
+    phone('n2', 'Nokia'),
+  ];
+  const options = { pageSize: 3, lambda: 1, brandCap: 2, explorationSlots: 0, similarity: noSimilarity };
+
+  it('keeps the blended order with no cap and lambda 1', () => {
+    const result = diversify(items, { ...options, brandCap: 0 });
+    assert.deepEqual(result.map(m => m.url), items.map(m => m.url));
+  });
+
+  it('caps each brand per page and moves the overflow on', () => {
+    const result = diversify(items, options);
+    assert.deepEqual(result.map(m => m.url), ['s1', 's2', 'n1', 's3', 's4', 'n2']);
+  });
+
+  it('trades relevance for novelty as lambda drops', () => {
+    const similarity = (a, b) => (a[0] === b[0] ? 1 : 0);
+    const result = diversify(items, { ...options, brandCap: 0, lambda: 0.3, similarity });
+    assert.deepEqual(result.slice(0, 2).map(m => m.url), ['s1', 'n1']);
+  });
+
+  it('fills the last places of each page with exploration phones', () => {
+    const exploration = [phone('s1', 'Samsung'), phone('x1', 'Sony'), phone('x2', 'Sony')];
+    const result = diversify(items, { ...options, explorationSlots: 1, exploration });
+    assert.deepEqual(result.map(m => m.url), ['s1', 's2', 'x1', 's3', 'n1', 'x2', 's4', 'n2']);
+    assert.deepEqual(result[2].reasons, ['you might not have come across it yet']);
+    assert.equal(result[2].exploration, true);
+  });
+
+  it('picks each page from a window of the best remaining phones', () => {
+    const samsungs = Array.from({ length: 2 * MMR_WINDOW_PAGES }, (_, i) => phone(`s${i}`, 'Samsung'));
+    const result = diversify([...samsungs, phone('n1', 'Nokia')], { ...options, pageSize: 2, brandCap: 1 });
+    assert.deepEqual(result.slice(0, 2).map(m => m.url), ['s0', 's1']);
+    assert.deepEqual(result.slice(2, 4).map(m => m.url), ['s2', 'n1']);
+    assert.equal(result.length, samsungs.length + 1);
+  });
+
+  it('stays linear in the list length', () => {
+    const many = Array.from({ length: 2800 }, (_, i) => phone(`p${i}`, `Brand${i % 7}`));
+    let calls = 0;
+    const similarity = () => (calls++, 0.5);
+    const result = diversify(many, { ...options, lambda: 0.7, pageSize: 10, similarity });
+    assert.equal(new Set(result.map(m => m.url)).size, many.length);
+    assert.ok(calls <= many.length * 10 * MMR_WINDOW_PAGES, `${calls} similarity calls`);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_EXCLUSION_POLICY, buildExclusions, resolveExclusionPolicy } = require('../lib/exclusion');
+
+const DAY = 86400000;
+const now = Date.UTC(2026, 0, 15);
+const policy = { excludePurchased: true, excludeViewedDays: 7, brandDismissThreshold: 2 };
+
+describe('buildExclusions', () => {
+  const interactions = [
+    { itemId: 'bought', interactionType: 'purchase', timestamp: new Date(now - 300 * DAY) },
+    { itemId: 'seen-recently', interactionType: 'view', timestamp: new Date(now - 6 * DAY) },
+    { itemId: 'seen-long-ago', interactionType: 'view', timestamp: new Date(now - 8 * DAY) },
+    { itemId: 'no-timestamp', interactionType: 'view' },
+    { itemId: 'carted', interactionType: 'cart', timestamp: new Date(now) },
+  ];
+
+  it('hides purchased phones and phones viewed within the window', () => {
+    const { items, brands } = buildExclusions(interactions, policy, [], now);
+    assert.deepEqual([...items], ['bought', 'seen-recently']);
+    assert.deepEqual([...brands], []);
+  });
+
+  it('keeps viewed phones when the view rule is off', () => {
+    const { items } = buildExclusions(interactions, { ...policy, excludeViewedDays: 0 }, [], now);
+    assert.deepEqual([...items], ['bought']);
+  });
+
+  it('keeps purchased phones when the purchase rule is off', () => {
+    const { items } = buildExclusions(interactions, { ...policy, excludePurchased: false }, [], now);
+    assert.deepEqual([...items], ['seen-recently']);
+  });
+
+  it('hides dismissed phones and brands dismissed often enough', () => {
+    const dismissed = [
+      { itemId: 's1', brand: 'Samsung' },
+      { itemId: 's2', brand: 'Samsung' },
+      { itemId: 'n1', brand: 'Nokia' },
+    ];
+    const { items, brands } = buildExclusions([], policy, dismissed, now);
+    assert.deepEqual([...items], ['s1', 's2', 'n1']);
+    assert.deepEqual([...brands], ['Samsung']);
+    assert.deepEqual([...buildExclusions([], { ...policy, brandDismissThreshold: 0 }, dismissed, now).brands], []);
+  });
+});
+
+describe('resolveExclusionPolicy', () => {
+  it('overrides the view window per request', () => {
+    assert.equal(resolveExclusionPolicy({ excludeViewedDays: '14' }).excludeViewedDays, 14);
+    assert.equal(resolveExclusionPolicy({ excludeViewedDays: '0' }).excludeViewedDays, 0);
+  });
+
+  it('ignores invalid overrides', () => {
+    assert.deepEqual(resolveExclusionPolicy({ excludeViewedDays: '-3' }), DEFAULT_EXCLUSION_POLICY);
+    assert.deepEqual(resolveExclusionPolicy({ excludeViewedDays: 'week' }), DEFAULT_EXCLUSION_POLICY);
+    assert.deepEqual(resolveExclusionPolicy(), DEFAULT_EXCLUSION_POLICY);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeExperiment,
+  assignVariant,
+  variantOverrides,
+  createExperimentRegistry,
+} = require('../lib/experiments');
+const { DEFAULT_WEIGHTS } = require('../lib/hybrid');
+
+const USERS = Array.from({ length: 4000 }, (_, i) => `user-${i}`);
+
+const experiment = variants => ({ key: 'cf-heavy', variants });
+
+const split = exp => {
+  const counts = {};
+  for (const userId of USERS) {
+    const name = assignVariant(exp, userId).name;
+    counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+};
+
+describe('normalizeExperiment', () => {
+  it('accepts a valid experiment with defaults', () => {
+    const { experiment: normalized } = normalizeExperiment('cf-heavy', {
+      variants: [{ name: 'control' }, { name: 'cf_heavy', allocation: 3, params: { cf: '0.8', seedCount: 5 } }],
+    });
+    assert.deepEqual(normalized, {
+      key: 'cf-heavy',
+      description: '',
+      status: 'draft',
+      variants: [
+        { name: 'control', allocation: 1, params: {} },
+        { name: 'cf_heavy', allocation: 3, params: { cf: 0.8, seedCount: 5 } },
+      ],
+    });
+  });
+
+  it('reports every problem', () => {
+    const { errors } = normalizeExperiment('bad key', {
+      status: 'paused',
+      variants: [
+        { name: 'a', allocation: 0, params: { cf: 2, colour: 1 } },
+        { name: 'a', allocation: 0, params: { seedCount: 1.5 } },
+      ],
+    });
+    assert.deepEqual(errors, [
+      'key must be 1-64 letters, digits, "-" or "_".',
+      'status must be one of: draft, running, stopped.',
+      'variants[0].params.cf must be a number in [0, 1].',
+      'variants[0].params.colour is not a tunable parameter.',
+      'Duplicate variant name "a".',
+      'variants[1].params.seedCount must be an integer in [0, 20].',
+      'At least one variant needs a positive allocation.',
+    ]);
+    assert.deepEqual(normalizeExperiment('one', { variants: [{ name: 'a' }] }).errors, [
+      'At least two variants are required.',
+    ]);
+  });
+});
+
+describe('assignVariant', () => {
+  const even = experiment([
+    { name: 'control', allocation: 1 },
+    { name: 'treatment', allocation: 1 },
+  ]);
+
+  it('gives a user the same variant every time', () => {
+    for (const userId of USERS.slice(0, 50))
+      assert.equal(assignVariant(even, userId).name, assignVariant({ ...even }, userId).name);
+  });
+
+  it('buckets users independently per experiment', () => {
+    const other = { ...even, key: 'other' };
+    assert.ok(USERS.some(userId => assignVariant(even, userId).name !== assignVariant(other, userId).name));
+  });
+
+  it('splits users in proportion to the allocations', () => {
+    const counts = split(even);
+    assert.ok(Math.abs(counts.control / USERS.length - 0.5) < 0.03, JSON.stringify(counts));
+
+    const weighted = split(
+      experiment([
+        { name: 'control', allocation: 1 },
+        { name: 'treatment', allocation: 3 },
+      ])
+    );
+    assert.ok(Math.abs(weighted.treatment / USERS.length - 0.75) < 0.03, JSON.stringify(weighted));
+  });
+
+  it('never assigns a variant without allocation', () => {
+    const counts = split(
+      experiment([
+        { name: 'off', allocation: 0 },
+        { name: 'on', allocation: 1 },
+      ])
+    );
+    assert.deepEqual(counts, { on: USERS.length });
+    assert.equal(assignVariant(experiment([{ name: 'off', allocation: 0 }]), 'user-1'), null);
+  });
+});
+
+describe('variantOverrides', () => {
+  it('layers the params over the default weights', () => {
+    assert.deepEqual(variantOverrides({ params: { cf: 0.8, coldStartThreshold: 10 } }), {
+      weights: { ...DEFAULT_WEIGHTS, cf: 0.8 },
+      coldStartThreshold: 10,
+    });
+  });
+});
+
+describe('createExperimentRegistry', () => {
+  it('assigns users of the running experiment only', async () => {
+    let running = null;
+    const registry = createExperimentRegistry({ load: async () => running });
+    await registry.reload();
+    assert.equal(registry.assign('user-1'), null);
+
+    running = experiment([
+      { name: 'control', allocation: 1, params: {} },
+      { name: 'treatment', allocation: 1, params: { cbf: 0.9 } },
+    ]);
+    await registry.reload();
+    const assignment = registry.assign('user-1');
+    assert.equal(assignment.experiment, 'cf-heavy');
+    assert.ok(['control', 'treatment'].includes(assignment.variant));
+    assert.equal(registry.assign(null), null);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { recentItems, continueBrowsing, favouriteBrand, dedupeShelves } = require('../lib/home');
+
+// Newest first, as the route loads them.
+const interactions = [
+  { itemId: 'a', interactionType: 'view' },
+  { itemId: 'b', interactionType: 'purchase' },
+  { itemId: 'b', interactionType: 'view' },
+  { itemId: 'c', interactionType: 'compare' },
+  { itemId: 'a', interactionType: 'click' },
+  { itemId: 'd', interactionType: 'dismiss' },
+  { itemId: 'd', interactionType: 'view' },
+  { itemId: 'e', interactionType: 'wishlist' },
+];
+
+const shelf = (id, itemIds) => ({ id, title: id, items: itemIds.map(itemId => ({ itemId })) });
+const ids = shelves => shelves.map(s => [s.id, s.items.map(i => i.itemId)]);
+
+describe('recentItems', () => {
+  it('takes distinct items of the given types, newest first', () => {
+    assert.deepEqual(recentItems(interactions, ['view', 'compare'], 3), ['a', 'b', 'c']);
+    assert.deepEqual(recentItems(interactions, ['cart'], 3), []);
+  });
+});
+
+describe('continueBrowsing', () => {
+  it('leaves out phones bought or dismissed since', () => {
+    assert.deepEqual(continueBrowsing(interactions), ['a', 'c', 'e']);
+    assert.deepEqual(continueBrowsing(interactions, 1), ['a']);
+  });
+});
+
+describe('favouriteBrand', () => {
+  const brandOf = new Map([
+    ['a', 'Nokia'],
+    ['b', 'Samsung'],
+    ['c', 'Nokia'],
+    ['d', 'Samsung'],
+  ]);
+
+  it('picks the brand with the most weighted interactions', () => {
+    assert.equal(favouriteBrand(interactions, brandOf), 'Samsung');
+    assert.equal(favouriteBrand(interactions.filter(it => it.itemId !== 'b'), brandOf), 'Nokia');
+  });
+
+  it('falls back to the first preferred brand of the profile', () => {
+    assert.equal(favouriteBrand([], brandOf, { preferredBrands: ['Apple', 'Sony'] }), 'Apple');
+    assert.equal(favouriteBrand([], brandOf), null);
+  });
+});
+
+describe('dedupeShelves', () => {
+  it('keeps each phone on the first shelf that shows it', () => {
+    const shelves = dedupeShelves([
+      shelf('continue', ['a', 'b', 'a']),
+      shelf('trending', ['b', 'c', 'd']),
+      shelf('new', ['c', 'e', 'f']),
+    ]);
+    assert.deepEqual(ids(shelves), [
+      ['continue', ['a', 'b']],
+      ['trending', ['c', 'd']],
+      ['new', ['e', 'f']],
+    ]);
+    assert.equal(shelves[0].title, 'continue');
+  });
+
+  it('caps shelves and drops those left too short', () => {
+    const shelves = dedupeShelves(
+      [shelf('first', ['a', 'b', 'c', 'd']), shelf('second', ['a', 'b', 'x']), shelf('third', ['c', 'y', 'z'])],
+      { maxItems: 3, minItems: 2 }
+    );
+    assert.deepEqual(ids(shelves), [
+      ['first', ['a', 'b', 'c']],
+      ['third', ['y', 'z']],
+    ]);
+  });
+
+  it('lets a dropped shelf leave its phones to later shelves', () => {
+    const shelves = dedupeShelves([shelf('short', ['a']), shelf('next', ['a', 'b'])]);
+    assert.deepEqual(ids(shelves), [['next', ['a', 'b']]]);
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { recencyDecay, buildSeeds, addWishlistSeeds, blendScores } = require('../lib/hybrid');
+
+const DAY = 86400000;
+const now = Date.UTC(2026, 0, 15);
+const weights = { cf: 0.6, cbf: 0.4, recencyHalfLifeDays: 7, seedCount: 2, wishlistSeedCount: 1 };
+
+describe('recencyDecay', () => {
+  it('halves every half-life', () => {
+    assert.equal(recencyDecay(now, 7, now), 1);
+    assert.equal(recencyDecay(now - 7 * DAY, 7, now), 0.5);
+    assert.equal(recencyDecay(now - 14 * DAY, 7, now), 0.25);
+  });
+
+  it('counts missing timestamps and future interactions as fresh', () => {
+    assert.equal(recencyDecay(null, 7, now), 1);
+    assert.equal(recencyDecay(now + DAY, 7, now), 1);
+    assert.equal(recencyDecay(now - DAY, 0, now), 1);
+  });
+});
+
+describe('buildSeeds', () => {
+  it('takes the most recent distinct items with their strongest interaction', () => {
+    const seeds = buildSeeds(
+      [
+        { itemId: 'a', interactionType: 'view', timestamp: now },
+        { itemId: 'b', interactionType: 'dismiss', timestamp: now },
+        { itemId: 'c', interactionType: 'cart', timestamp: now - 7 * DAY },
+        { itemId: 'a', interactionType: 'purchase', timestamp: now - 7 * DAY },
+        { itemId: 'd', interactionType: 'purchase', timestamp: now },
+      ],
+      weights,
+      now
+    );
+    assert.deepEqual(seeds, [
+      { itemId: 'a', interactionType: 'purchase', weight: 2.5 },
+      { itemId: 'c', interactionType: 'cart', weight: 1.5 },
+    ]);
+  });
+
+  it('adds the newest wishlisted items that are not seeds yet', () => {
+    const seeds = addWishlistSeeds(
+      [{ itemId: 'a', interactionType: 'view', weight: 1 }],
+      [
+        { itemId: 'b', addedAt: new Date(now - 7 * DAY) },
+        { itemId: 'a', addedAt: new Date(now) },
+        { itemId: 'c', addedAt: new Date(now - 14 * DAY) },
+      ],
+      weights,
+      now
+    );
+    assert.deepEqual(seeds.map(s => [s.itemId, s.weight]), [['a', 1], ['b', 1]]);
+  });
+});
+
+describe('blendScores', () => {
+  it('ranks by CF alone without seeds', () => {
+    const blended = blendScores({ cf: ['a', 'b', 'a'], weights });
+    assert.deepEqual(blended, [
+      { itemId: 'a', score: 0.6, reasons: ['popular with shoppers who share your taste'] },
+      { itemId: 'b', score: 0.3, reasons: ['popular with shoppers who share your taste'] },
+    ]);
+  });
+
+  it('weights each seed list and explains the strongest seed first', () => {
+    const seeds = [
+      { itemId: 's1', interactionType: 'purchase', weight: 3 },
+      { itemId: 's2', interactionType: 'view', weight: 1 },
+    ];
+    const blended = blendScores({
+      seeds,
+      cbfLists: [['s1', 'x'], ['x', 'y']],
+      names: new Map([['s1', 'Galaxy S9'], ['s2', 'Lumia 640']]),
+      weights,
+    });
+    assert.deepEqual(blended.map(e => e.itemId), ['x', 'y']);
+    assert.equal(blended[0].score, 0.4 * ((3 * 0.5) / 4 + (1 * 1) / 4));
+    assert.deepEqual(blended[0].reasons, ['similar to Galaxy S9 you bought', 'similar to Lumia 640 you viewed']);
+    assert.ok(!blended.some(e => e.itemId === 's1'));
+  });
+});
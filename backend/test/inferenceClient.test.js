@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { InferenceError, createCircuitBreaker, createInferenceClient } = require('../lib/inferenceClient');
+
+const httpError = (status, data = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+const ok = recommendations => ({ data: { recommendations } });
+
+// Replays `responses` in order: errors are thrown, anything else resolved.
+const mockGet = (t, responses) =>
+  t.mock.method(axios, 'get', async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  });
+
+const client = options =>
+  createInferenceClient({ baseUrl: 'http://model', healthUrl: 'http://model/health', backoffBaseMs: 0, ...options });
+
+describe('createCircuitBreaker', () => {
+  it('opens after consecutive failures and rejects calls', () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 2, cooldownMs: 1000 });
+    breaker.onFailure(new Error('a'));
+    assert.equal(breaker.canRequest(), true);
+    breaker.onFailure(new Error('b'));
+    assert.equal(breaker.status().state, 'open');
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  it('lets one trial call through once the cooldown has passed', t => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.onFailure(new Error('down'));
+    now = 999;
+    assert.equal(breaker.canRequest(), false);
+    now = 1000;
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.status().state, 'half_open');
+    assert.equal(breaker.canRequest(), false);
+  });
+
+  it('closes after a successful trial and reopens after a failed one', t => {
+    let now = 0;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.onFailure(new Error('down'));
+    now = 1000;
+    breaker.canRequest();
+    breaker.onFailure(new Error('still down'));
+    assert.equal(breaker.status().state, 'open');
+    assert.equal(breaker.canRequest(), false);
+
+    now = 2000;
+    breaker.canRequest();
+    breaker.onSuccess();
+    assert.deepEqual(
+      { ...breaker.status(), lastError: undefined },
+      { state: 'closed', consecutiveFailures: 0, lastError: undefined }
+    );
+    assert.equal(breaker.canRequest(), true);
+  });
+});
+
+describe('createInferenceClient', () => {
+  it('retries network errors and 5xx responses', async t => {
+    const get = mockGet(t, [networkError(), httpError(503), ok(['a', 'b'])]);
+    assert.deepEqual(await client({ retries: 2 }).recommend('/recommend/cf', 'user 1', { k: 5 }), ['a', 'b']);
+    assert.equal(get.mock.callCount(), 3);
+    assert.equal(get.mock.calls[0].arguments[0], 'http://model/recommend/cf/user%201?k=5');
+  });
+
+  it('gives up after the last retry', async t => {
+    const get = mockGet(t, [networkError(), networkError(), networkError()]);
+    await assert.rejects(client({ retries: 1 }).recommend('/recommend/cf', 'u1'), { code: 'unavailable' });
+    assert.equal(get.mock.callCount(), 2);
+  });
+
+  it('does not retry a 404 or count it against the breaker', async t => {
+    const get = mockGet(t, [httpError(404, { detail: 'Unknown user.' })]);
+    const inference = client({ breaker: { failureThreshold: 1 } });
+    await assert.rejects(inference.recommend('/recommend/cf', 'u1'), err => {
+      assert.ok(err instanceof InferenceError);
+      assert.deepEqual([err.code, err.message, err.status], ['not_found', 'Unknown user.', 404]);
+      return true;
+    });
+    assert.equal(get.mock.callCount(), 1);
+    assert.equal(inference.breakerStatus().state, 'closed');
+  });
+
+  it('fails fast while the circuit is open', async t => {
+    const get = mockGet(t, [httpError(500), httpError(500)]);
+    const inference = client({ retries: 0, breaker: { failureThreshold: 2 } });
+    await assert.rejects(inference.recommend('/recommend/cf', 'u1'), { code: 'unavailable', status: 500 });
+    await assert.rejects(inference.recommend('/recommend/cf', 'u1'), { code: 'unavailable' });
+    await assert.rejects(inference.recommend('/recommend/cf', 'u1'), { code: 'circuit_open' });
+    assert.equal(get.mock.callCount(), 2);
+  });
+
+  it('treats a malformed response as a failure', async t => {
+    mockGet(t, [{ data: { items: [] } }]);
+    const inference = client({ breaker: { failureThreshold: 1 } });
+    await assert.rejects(inference.recommend('/recommend/cf', 'u1'), { code: 'unavailable' });
+    assert.equal(inference.breakerStatus().state, 'open');
+  });
+
+  it('reports health without going through the breaker', async t => {
+    mockGet(t, [{ data: { status: 'ok' } }, networkError()]);
+    const inference = client();
+    assert.deepEqual((await inference.checkHealth()).details, { status: 'ok' });
+    assert.equal((await inference.checkHealth()).reachable, false);
+  });
+});
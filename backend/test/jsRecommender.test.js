@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJsRecommender } = require('../lib/jsRecommender');
+
+const mobile = (url, Brand, os, battery, screen) => ({
+  url,
+  Brand,
+  'Operating system': os,
+  Processor: '1.2GHz quad-core',
+  'Rear camera': '8-megapixel',
+  'Battery capacity (mAh)': battery,
+  'Screen size (inches)': screen,
+});
+
+const mobiles = [
+  mobile('s1', 'Samsung', 'Android 6', 3000, 5.5),
+  mobile('s2', 'Samsung', 'Android 6', 3100, 5.5),
+  mobile('n1', 'Nokia', 'Windows Phone 8', 1500, 4),
+  mobile('a1', 'Apple', 'iOS 9', 1800, 4.7),
+];
+
+const interactions = [
+  { userId: 'u1', itemId: 's1', interactionType: 'purchase' },
+  { userId: 'u1', itemId: 'n1', interactionType: 'view' },
+  { userId: 'u2', itemId: 's1', interactionType: 'view' },
+  { userId: 'u2', itemId: 'n1', interactionType: 'cart' },
+  { userId: 'u2', itemId: 'a1', interactionType: 'dismiss' },
+  { userId: 'u3', itemId: 'unknown', interactionType: 'purchase' },
+];
+
+describe('createJsRecommender', () => {
+  const recommender = createJsRecommender();
+
+  it('is not ready before the first build', () => {
+    assert.equal(recommender.isReady(), false);
+    assert.deepEqual(recommender.similarItems('s1'), []);
+  });
+
+  it('reports what it was built from', () => {
+    recommender.build({ mobiles, interactions });
+    const { ready, items, itemsWithCooccurrence } = recommender.status();
+    assert.deepEqual({ ready, items, itemsWithCooccurrence }, { ready: true, items: 4, itemsWithCooccurrence: 2 });
+  });
+
+  it('ranks phones with similar specs first', () => {
+    const similar = recommender.similarItems('s1');
+    assert.equal(similar[0], 's2');
+    assert.ok(!similar.includes('s1'));
+    assert.deepEqual(recommender.similarItems('s1', 1), ['s2']);
+    assert.deepEqual(recommender.similarItems('unknown'), []);
+  });
+
+  it('scores spec similarity symmetrically within [0, 1]', () => {
+    const close = recommender.similarity('s1', 's2');
+    const far = recommender.similarity('s1', 'a1');
+    assert.equal(close, recommender.similarity('s2', 's1'));
+    assert.ok(close > far && far >= 0 && close <= 1);
+    assert.equal(recommender.similarity('s1', 'unknown'), 0);
+  });
+
+  it('recommends co-occurring phones the user has not interacted with', () => {
+    assert.deepEqual(recommender.recommendForUser([{ itemId: 's1', interactionType: 'view' }]), ['n1']);
+    assert.deepEqual(
+      recommender.recommendForUser([
+        { itemId: 's1', interactionType: 'view' },
+        { itemId: 'n1', interactionType: 'view' },
+      ]),
+      []
+    );
+    assert.deepEqual(recommender.recommendForUser([{ itemId: 'a1', interactionType: 'view' }]), []);
+  });
+});
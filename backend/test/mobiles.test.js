@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMobile, parseMongoExport, parseCsv } = require('../lib/mobiles');
+
+const required = { Brand: 'Samsung', Model: 'Galaxy J2', url: 'https://example.com/galaxy-j2' };
+
+describe('normalizeMobile', () => {
+  it('parses spec values into numbers, dates and booleans', () => {
+    const { mobile, ignored } = normalizeMobile({
+      ...required,
+      'Rear camera': '8-megapixel (f/2.2)',
+      'Front camera': 'No',
+      'Battery capacity (mAh)': '2,000',
+      'Wi-Fi': 'Yes',
+      Bluetooth: 'Yes, v 4.00',
+      Touchscreen: false,
+      Launched: 'September 2015',
+      '5 Stars': '12',
+      _id: 'ignored silently',
+      Colour: 'Gold',
+    });
+    assert.equal(mobile['Rear camera'], 8);
+    assert.equal(mobile['Front camera'], 0);
+    assert.equal(mobile['Battery capacity (mAh)'], 2000);
+    assert.equal(mobile['Wi-Fi'], true);
+    assert.equal(mobile.Bluetooth, true);
+    assert.equal(mobile.Touchscreen, false);
+    assert.deepEqual(mobile.Launched, new Date(Date.UTC(2015, 8, 1)));
+    assert.equal(mobile['5 Stars'], 12);
+    assert.equal(mobile['1 Stars'], 0);
+    assert.deepEqual(ignored, ['Colour']);
+  });
+
+  it('reports every invalid field', () => {
+    const { errors } = normalizeMobile({
+      Brand: 'Samsung',
+      url: 'ftp://example.com',
+      'Rear camera': 'Yes',
+      'Wi-Fi': 'Sometimes',
+      Launched: '1970',
+      '5 Stars': '-1',
+    });
+    assert.deepEqual(errors, [
+      'Model is required.',
+      'url must be an http(s) URL.',
+      'Rear camera must be a megapixel value like 8, "8-megapixel" or "No".',
+      'Wi-Fi must be Yes or No.',
+      'Launched has an implausible year.',
+      '5 Stars must be a non-negative integer.',
+    ]);
+  });
+
+  it('leaves missing fields alone in a partial update and unsets blank ones', () => {
+    const { mobile, unset } = normalizeMobile({ Model: 'Galaxy J2 Pro', Processor: '' }, { partial: true });
+    assert.deepEqual(mobile, { Model: 'Galaxy J2 Pro' });
+    assert.deepEqual(unset, ['Processor']);
+  });
+
+  it('rejects rows that are not objects', () => {
+    assert.deepEqual(normalizeMobile([]), { errors: ['Row must be an object.'] });
+  });
+});
+
+describe('parseMongoExport', () => {
+  it('reads arrays and one document per line, unwrapping extended JSON', () => {
+    const line = '{"_id":{"$oid":"abc"},"Brand":"Nokia","5 Stars":{"$numberInt":"4"}}';
+    assert.deepEqual(parseMongoExport(`[${line}]`), [{ _id: 'abc', Brand: 'Nokia', '5 Stars': 4 }]);
+    assert.deepEqual(parseMongoExport(`${line}\n\n${line}\n`).length, 2);
+    assert.throws(() => parseMongoExport(`${line}\n{oops`), { message: 'Invalid JSON on line 2.' });
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted commas, quotes and newlines', () => {
+    const csv = '\uFEFFBrand,Model,Processor\r\nSamsung,"Galaxy ""J2""","1.3GHz, quad-core"\n\nNokia,"Lumia\n640"\n';
+    assert.deepEqual(parseCsv(csv), [
+      { Brand: 'Samsung', Model: 'Galaxy "J2"', Processor: '1.3GHz, quad-core' },
+      { Brand: 'Nokia', Model: 'Lumia\n640', Processor: '' },
+    ]);
+  });
+
+  it('rejects an unterminated quote', () => {
+    assert.throws(() => parseCsv('Brand\n"Samsung'), SyntaxError);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  listQuery,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  appendNew,
+  extendSnapshot,
+} = require('../lib/pagination');
+
+const entries = ids => ids.map(itemId => ({ itemId }));
+const range = n => Array.from({ length: n }, (_, i) => `p${i}`);
+
+describe('cursors', () => {
+  it('round-trips the snapshot id, offset, shelf and query', () => {
+    const cursor = encodeCursor({ snapshotId: 'abc', offset: 20, shelf: 'trending', query: { brand: 'Samsung' } });
+    assert.deepEqual(decodeCursor(cursor), {
+      snapshotId: 'abc',
+      offset: 20,
+      shelf: 'trending',
+      query: { brand: 'Samsung' },
+    });
+  });
+
+  it('defaults the shelf to null and the query to empty', () => {
+    assert.deepEqual(decodeCursor(encodeCursor({ snapshotId: 'abc', offset: 0 })), {
+      snapshotId: 'abc',
+      offset: 0,
+      shelf: null,
+      query: {},
+    });
+  });
+
+  it('rejects cursors it did not issue', () => {
+    const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor(encode({ s: 'abc', o: -1 })), null);
+    assert.equal(decodeCursor(encode({ s: 'abc', o: 1.5 })), null);
+    assert.equal(decodeCursor(encode({ s: 1, o: 0 })), null);
+    assert.equal(decodeCursor(encode({ s: 'abc', o: 0, q: { brand: { $ne: null } } })), null);
+    assert.equal(decodeCursor(encode({ s: 'abc', o: 0, q: ['brand'] })), null);
+  });
+
+  it('drops paging params smuggled into the query', () => {
+    const cursor = Buffer.from(JSON.stringify({ s: 'abc', o: 0, q: { brand: 'Nokia', cursor: 'x', limit: '5' } })).toString(
+      'base64url'
+    );
+    assert.deepEqual(decodeCursor(cursor).query, { brand: 'Nokia' });
+  });
+});
+
+describe('listQuery', () => {
+  it('keeps the params that define the list', () => {
+    assert.deepEqual(
+      listQuery({ brand: ['Nokia', 'Sony'], lambda: '0.5', cursor: 'x', page: '2', shelf: 'new', limit: '10' }),
+      { brand: ['Nokia', 'Sony'], lambda: '0.5' }
+    );
+    assert.deepEqual(listQuery(), {});
+  });
+});
+
+describe('paginate', () => {
+  const items = range(25);
+  const page = offset => paginate(items, { snapshotId: 'abc', offset, limit: 10, query: { os: 'Android' } });
+
+  it('serves the first page with a next cursor only', () => {
+    const first = page(0);
+    assert.deepEqual(first.items, range(10));
+    assert.equal(first.page, 1);
+    assert.equal(first.total, 25);
+    assert.equal(first.hasMore, true);
+    assert.equal(first.prevCursor, null);
+    assert.deepEqual(decodeCursor(first.nextCursor), { snapshotId: 'abc', offset: 10, shelf: null, query: { os: 'Android' } });
+  });
+
+  it('links the middle page both ways', () => {
+    const middle = page(10);
+    assert.equal(middle.page, 2);
+    assert.equal(decodeCursor(middle.nextCursor).offset, 20);
+    assert.equal(decodeCursor(middle.prevCursor).offset, 0);
+  });
+
+  it('ends on a short last page', () => {
+    const last = page(20);
+    assert.deepEqual(last.items, ['p20', 'p21', 'p22', 'p23', 'p24']);
+    assert.equal(last.hasMore, false);
+    assert.equal(last.nextCursor, null);
+  });
+
+  it('clamps the previous cursor at the start', () => {
+    assert.equal(decodeCursor(page(5).prevCursor).offset, 0);
+  });
+
+  it('flags the total as an estimate until the snapshot is complete', () => {
+    assert.equal(page(0).totalIsEstimate, false);
+    assert.equal(paginate(items, { snapshotId: 'abc', offset: 0, limit: 10, complete: false }).totalIsEstimate, true);
+  });
+});
+
+describe('appendNew', () => {
+  it('appends unseen entries and keeps the served order', () => {
+    assert.deepEqual(appendNew(entries(['a', 'b']), entries(['b', 'c', 'a', 'd'])), entries(['a', 'b', 'c', 'd']));
+  });
+});
+
+describe('extendSnapshot', () => {
+  const snapshot = (ids, overrides = {}) => ({ type: 'hybrid', depth: 10, complete: false, entries: entries(ids), ...overrides });
+  const builder = lists => {
+    const depths = [];
+    const build = async depth => {
+      depths.push(depth);
+      return lists(depth);
+    };
+    return { build, depths };
+  };
+
+  it('leaves a snapshot that already covers the page alone', async () => {
+    const { build, depths } = builder(() => assert.fail('should not rebuild'));
+    const current = snapshot(range(10));
+    assert.equal(await extendSnapshot(current, 5, { build, maxDepth: 100 }), current);
+    assert.deepEqual(depths, []);
+  });
+
+  it('doubles the depth until the page is covered', async () => {
+    const { build, depths } = builder(depth => ({ type: 'hybrid', entries: entries(range(depth)), complete: false }));
+    const extended = await extendSnapshot(snapshot(range(10)), 25, { build, maxDepth: 100 });
+    assert.deepEqual(depths, [20, 40]);
+    assert.equal(extended.depth, 40);
+    assert.equal(extended.entries.length, 40);
+    assert.equal(extended.complete, false);
+  });
+
+  it('keeps the order of served pages when the deeper list reorders', async () => {
+    const { build } = builder(() => ({ type: 'hybrid', entries: entries(['x', 'p1', 'p0', 'y']), complete: true }));
+    const extended = await extendSnapshot(snapshot(['p0', 'p1']), 2, { build, maxDepth: 100 });
+    assert.deepEqual(extended.entries, entries(['p0', 'p1', 'x', 'y']));
+    assert.equal(extended.complete, true);
+  });
+
+  it('stops at maxDepth even when more could be found', async () => {
+    const { build, depths } = builder(depth => ({ type: 'hybrid', entries: entries(range(depth)), complete: false }));
+    const extended = await extendSnapshot(snapshot(range(10)), 1000, { build, maxDepth: 30 });
+    assert.deepEqual(depths, [20, 30]);
+    assert.equal(extended.complete, true);
+  });
+
+  it('ends the snapshot without mixing in a list of another type', async () => {
+    const { build } = builder(() => ({ type: 'popular', entries: entries(['z']), complete: false }));
+    const extended = await extendSnapshot(snapshot(['a']), 5, { build, maxDepth: 100 });
+    assert.deepEqual(extended.entries, entries(['a']));
+    assert.equal(extended.complete, true);
+  });
+});
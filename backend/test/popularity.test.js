@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { velocityFromInteractions, computePopularity } = require('../lib/popularity');
+
+const DAY = 86400000;
+const now = Date.UTC(2026, 0, 31);
+
+describe('velocityFromInteractions', () => {
+  it('counts weighted interactions per sliding window', () => {
+    const velocity = velocityFromInteractions(
+      [
+        { itemId: 'a', interactionType: 'view', timestamp: new Date(now - DAY / 2) },
+        { itemId: 'a', interactionType: 'purchase', timestamp: new Date(now - 3 * DAY) },
+        { itemId: 'a', interactionType: 'cart', timestamp: new Date(now - 20 * DAY) },
+        { itemId: 'a', interactionType: 'view', timestamp: new Date(now - 40 * DAY) },
+        { itemId: 'a', interactionType: 'dismiss', timestamp: new Date(now) },
+        { itemId: 'b', interactionType: 'view' },
+        { itemId: 'b', interactionType: 'view', timestamp: new Date(now + DAY) },
+      ],
+      now
+    );
+    assert.deepEqual([...velocity], [['a', { day: 1, week: 6, month: 9 }]]);
+  });
+});
+
+describe('computePopularity', () => {
+  const stars = (five, one) => ({ '5 Stars': five, '4 Stars': 0, '3 Stars': 0, '2 Stars': 0, '1 Stars': one });
+  const mobiles = [
+    { url: 'many', ...stars(900, 100), Launched: 'January 2016' },
+    { url: 'few', ...stars(1, 0), Launched: 'January 2016' },
+    { url: 'none', ...stars(0, 0), Launched: 'January 2015' },
+    { url: 'mixed', ...stars(5, 5) },
+  ];
+  const scores = computePopularity(mobiles, new Map([['few', { day: 2, week: 7, month: 30 }]]), new Date(now));
+
+  it('pulls phones with few ratings towards the catalog mean', () => {
+    const mean = (900 * 5 + 100 + 5 + 5 * 5 + 5) / (1000 + 1 + 10);
+    assert.ok(Math.abs(scores.get('many').bayesianRating - 4.6) < 0.01);
+    assert.ok(Math.abs(scores.get('few').bayesianRating - (mean + 5) / 2) < 0.001);
+    assert.equal(scores.get('none').bayesianRating, Math.round(mean * 1000) / 1000);
+  });
+
+  it('scores trending from the blended daily rates', () => {
+    assert.equal(scores.get('few').trendingScore, 0.5 * 2 + 0.3 * 1 + 0.2 * 1);
+    assert.deepEqual(scores.get('many').velocity, { day: 0, week: 0, month: 0 });
+    assert.equal(scores.get('many').trendingScore, 0);
+  });
+
+  it('measures freshness from the newest launch in the catalog', () => {
+    assert.equal(scores.get('many').freshness, 1);
+    assert.ok(Math.abs(scores.get('none').freshness - 0.5) < 0.01);
+    assert.equal(scores.get('mixed').freshness, 0);
+  });
+
+  it('blends the components into popularityScore', () => {
+    const { bayesianRating, popularityScore, popularityUpdatedAt } = scores.get('few');
+    const expected = 0.6 * ((bayesianRating - 1) / 4) + 0.25 + 0.15;
+    assert.ok(Math.abs(popularityScore - expected) < 0.002);
+    assert.deepEqual(popularityUpdatedAt, new Date(now));
+  });
+
+  it('falls back to a neutral prior for an unrated catalog', () => {
+    const [[, only]] = computePopularity([{ url: 'x' }], new Map(), new Date(now));
+    assert.equal(only.bayesianRating, 3);
+    assert.equal(only.popularityScore, 0.3);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeProfile,
+  hasPreferences,
+  withSearchIntent,
+  preferenceScore,
+  preferenceRanker,
+  preferenceStages,
+} = require('../lib/preferences');
+
+const phone = (url, Brand, os, battery, screen) => ({
+  url,
+  Brand,
+  'Operating system': os,
+  'Battery capacity (mAh)': battery,
+  'Screen size (inches)': screen,
+});
+
+describe('normalizeProfile', () => {
+  it('cleans up the lists and parses the numbers', () => {
+    assert.deepEqual(
+      normalizeProfile({
+        preferredBrands: [' Samsung', 'Samsung', '', 3],
+        preferredOS: ['Android'],
+        budget: { min: '5000', max: '' },
+        minBattery: 3000,
+        screen: { max: '6.5' },
+      }),
+      {
+        profile: {
+          preferredBrands: ['Samsung'],
+          preferredOS: ['Android'],
+          budget: { min: 5000, max: null },
+          minBattery: 3000,
+          screen: { min: null, max: 6.5 },
+        },
+      }
+    );
+  });
+
+  it('reports every invalid field', () => {
+    const { errors } = normalizeProfile({
+      preferredOS: ['Symbian'],
+      budget: { min: 20000, max: 10000 },
+      minBattery: -1,
+      screen: { min: 'big' },
+    });
+    assert.deepEqual(errors, [
+      'preferredOS must be among: Android, iOS, Windows, BlackBerry, Proprietary.',
+      'minBattery must be a non-negative number.',
+      'screen.min must be a non-negative number.',
+      'budget.min must not exceed budget.max.',
+    ]);
+  });
+});
+
+describe('hasPreferences', () => {
+  it('ignores the budget, which is not applied yet', () => {
+    assert.equal(hasPreferences(null), false);
+    assert.equal(hasPreferences({ preferredBrands: [], budget: { min: 1, max: 2 }, screen: {} }), false);
+    assert.equal(hasPreferences({ screen: { max: 6 } }), true);
+  });
+});
+
+describe('withSearchIntent', () => {
+  it('adds searched brands and OS families as soft preferences', () => {
+    const profile = { preferredBrands: ['Nokia'], preferredOS: [], minBattery: 3000 };
+    assert.deepEqual(
+      withSearchIntent(profile, [
+        { brands: ['Samsung', 'Nokia'], osFamily: 'Android' },
+        { brands: [], osFamily: 'Plan9' },
+      ]),
+      { preferredBrands: ['Nokia', 'Samsung'], preferredOS: ['Android'], minBattery: 3000 }
+    );
+    assert.equal(withSearchIntent(profile, []), profile);
+  });
+});
+
+describe('preferenceRanker', () => {
+  const mobiles = [
+    phone('a', 'Nokia', 'Windows Phone 8', 2000, 4.5),
+    phone('b', 'Samsung', 'Android 6', 3500, 5.5),
+    phone('c', 'Apple', 'iOS 9', 1800, 4.7),
+    phone('d', 'Samsung', 'Android 7', 4000, 6.8),
+    phone('e', 'Motorola', 'android 7', 3000, 5),
+  ];
+
+  it('is off without preferences', () => {
+    assert.equal(preferenceRanker({ preferredBrands: [] }), null);
+  });
+
+  it('drops phones outside the hard ranges', () => {
+    const rank = preferenceRanker({ minBattery: 2000, screen: { min: 4.6, max: 6 } });
+    assert.deepEqual(rank(mobiles).map(m => m.url), ['b', 'e']);
+  });
+
+  it('moves preferred brands and OS families up, keeping ties in order', () => {
+    const profile = { preferredBrands: ['Samsung'], preferredOS: ['Android'] };
+    assert.equal(preferenceScore(mobiles[1], profile), 2);
+    assert.equal(preferenceScore(mobiles[4], profile), 1);
+    assert.deepEqual(preferenceRanker(profile)(mobiles).map(m => m.url), ['b', 'd', 'e', 'a', 'c']);
+  });
+});
+
+describe('preferenceStages', () => {
+  it('matches the hard ranges and scores brands and OS families', () => {
+    const [match, score] = preferenceStages({
+      preferredBrands: ['Samsung'],
+      preferredOS: ['iOS', 'Windows'],
+      minBattery: 3000,
+      screen: { min: 5 },
+    });
+    assert.deepEqual(match, {
+      $match: { 'Battery capacity (mAh)': { $gte: 3000 }, 'Screen size (inches)': { $gte: 5 } },
+    });
+    assert.deepEqual(score.$addFields.preferenceScore.$add[0], { $cond: [{ $in: ['$Brand', ['Samsung']] }, 1, 0] });
+    assert.equal(score.$addFields.preferenceScore.$add[1].$cond[0].$regexMatch.regex, '^(iOS|Windows)');
+    assert.deepEqual(preferenceStages(null), []);
+  });
+});
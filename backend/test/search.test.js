@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, editDistance, createSearchIndex } = require('../lib/search');
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    assert.equal(editDistance('galaxy', 'galaxy', 2), 0);
+    assert.equal(editDistance('galxy', 'galaxy', 2), 1);
+    assert.equal(editDistance('samsng', 'samsung', 2), 1);
+    assert.equal(editDistance('iphome', 'iphone', 2), 1);
+    assert.equal(editDistance('xperai', 'xperia', 2), 2);
+  });
+
+  it('gives up past the maximum', () => {
+    assert.equal(editDistance('nokia', 'motorola', 2), 3);
+    assert.equal(editDistance('ab', 'abcdef', 1), 2);
+  });
+});
+
+describe('parseQuery', () => {
+  it('cuts spec keywords out of the text', () => {
+    assert.deepEqual(parseQuery('Samsung 5000mAh 6.5 inch octa-core Android 13MP 2.2 GHz'), {
+      text: 'samsung',
+      terms: ['samsung'],
+      filters: { minBattery: 5000, screen: 6.5, minRearCamera: 13, minClockGHz: 2.2, cores: 8, osFamily: 'Android' },
+    });
+  });
+
+  it('keeps plain words as deduplicated terms', () => {
+    assert.deepEqual(parseQuery('  Galaxy note5 galaxy '), { text: 'galaxy note5 galaxy', terms: ['galaxy', 'note5'], filters: {} });
+    assert.deepEqual(parseQuery(undefined), { text: '', terms: [], filters: {} });
+  });
+});
+
+describe('createSearchIndex', () => {
+  const mobiles = [
+    {
+      url: 'https://example.com/galaxy-note-5',
+      Brand: 'Samsung',
+      Model: 'Galaxy Note 5',
+      'Operating system': 'Android 5.1',
+      Processor: '1.5GHz octa-core',
+      'Battery capacity (mAh)': 3000,
+      'Screen size (inches)': 5.7,
+      '5 Stars': 100,
+    },
+    {
+      url: 'https://example.com/galaxy-j2',
+      Brand: 'Samsung',
+      Model: 'Galaxy J2',
+      'Operating system': 'Android 5.1',
+      Processor: '1.3GHz quad-core',
+      'Battery capacity (mAh)': 2000,
+      'Screen size (inches)': 4.7,
+      '5 Stars': 10,
+    },
+    {
+      url: 'https://example.com/lumia-640',
+      Brand: 'Microsoft',
+      Model: 'Lumia 640',
+      'Operating system': 'Windows Phone 8.1',
+      Processor: '1.2GHz quad-core',
+      'Battery capacity (mAh)': 2500,
+      'Screen size (inches)': 5,
+      '5 Stars': 50,
+    },
+  ];
+  const index = createSearchIndex();
+  index.build(mobiles);
+  const urls = result => result.results.map(r => r.url);
+
+  it('reports its status once built', () => {
+    assert.equal(index.isReady(), true);
+    assert.equal(index.status().items, 3);
+  });
+
+  it('tolerates typos in brand and model', () => {
+    const result = index.search('samsng galxy');
+    assert.deepEqual(result.parsed.brands, ['Samsung']);
+    assert.deepEqual(urls(result).sort(), [mobiles[1].url, mobiles[0].url].sort());
+  });
+
+  it('matches joined model numbers and highlights the match', () => {
+    const result = index.search('note5');
+    assert.deepEqual(urls(result), [mobiles[0].url]);
+    assert.deepEqual(result.results[0].highlights, { Brand: [], Model: [[7, 11], [12, 13]] });
+  });
+
+  it('highlights only the typed part of a prefix match', () => {
+    const result = index.search('lum');
+    assert.deepEqual(result.results[0].highlights.Model, [[0, 3]]);
+  });
+
+  it('filters by spec keywords alone', () => {
+    assert.deepEqual(urls(index.search('3000mah')), [mobiles[0].url]);
+    assert.deepEqual(urls(index.search('windows')), [mobiles[2].url]);
+  });
+
+  it('returns nothing for an empty query', () => {
+    assert.deepEqual(index.search('   '), { parsed: { text: '', terms: [], filters: {}, brands: [] }, total: 0, results: [] });
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  hashToken,
+  newRefreshToken,
+  successorToken,
+  claimableToken,
+  classifyUnclaimed,
+} = require('../lib/sessions');
+
+const SECRET = 'test-secret';
+const GRACE_MS = 30000;
+
+describe('refresh tokens', () => {
+  it('are random and stored only as hashes', () => {
+    const token = newRefreshToken();
+    assert.match(token, /^[0-9a-f]{96}$/);
+    assert.notEqual(token, newRefreshToken());
+    assert.match(hashToken(token), /^[0-9a-f]{64}$/);
+    assert.equal(hashToken(token), hashToken(token));
+  });
+
+  it('rotate into the same successor for the same token and secret', () => {
+    const token = newRefreshToken();
+    assert.equal(successorToken(token, SECRET), successorToken(token, SECRET));
+    assert.notEqual(successorToken(token, SECRET), successorToken(token, 'other-secret'));
+    assert.notEqual(successorToken(token, SECRET), successorToken(newRefreshToken(), SECRET));
+    assert.notEqual(successorToken(token, SECRET), token);
+  });
+
+  it('are claimable only while unrevoked and unexpired', () => {
+    const now = new Date();
+    assert.deepEqual(claimableToken('hash', now), { tokenHash: 'hash', revokedAt: null, expiresAt: { $gt: now } });
+  });
+});
+
+describe('classifyUnclaimed', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const token = newRefreshToken();
+  const successor = successorToken(token, SECRET);
+  const stored = overrides => ({
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + 86400000),
+    revokedAt: new Date(now.getTime() - 1000),
+    replacedBy: hashToken(successor),
+    ...overrides,
+  });
+  const classify = record => classifyUnclaimed(record, { now, successor, graceMs: GRACE_MS });
+
+  it('treats unknown and expired tokens as invalid', () => {
+    assert.equal(classify(null), 'invalid');
+    assert.equal(classify(stored({ expiresAt: new Date(now.getTime() - 1) })), 'invalid');
+    assert.equal(classify(stored({ expiresAt: now })), 'invalid');
+  });
+
+  it('hands out the successor again right after a rotation', () => {
+    assert.equal(classify(stored()), 'grace');
+    assert.equal(classify(stored({ revokedAt: new Date(now.getTime() - GRACE_MS) })), 'grace');
+  });
+
+  it('treats a token rotated before the grace window as reused', () => {
+    assert.equal(classify(stored({ revokedAt: new Date(now.getTime() - GRACE_MS - 1) })), 'reused');
+  });
+
+  it('treats a token revoked by logout as reused', () => {
+    assert.equal(classify(stored({ replacedBy: null })), 'reused');
+  });
+
+  it('treats a token rotated into another successor as reused', () => {
+    assert.equal(classify(stored({ replacedBy: hashToken(newRefreshToken()) })), 'reused');
+  });
+});
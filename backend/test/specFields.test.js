@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SPEC_FIELDS_VERSION, deriveSpecFields } = require('../lib/specFields');
+
+describe('deriveSpecFields', () => {
+  it('parses the dataset strings', () => {
+    assert.deepEqual(
+      deriveSpecFields({
+        'Rear camera': '13-megapixel + 2-megapixel',
+        'Front camera': 'No',
+        Processor: '1.4GHz octa-core',
+        Launched: '21st May 2012',
+        'Operating system': 'Android 8.1 Oreo',
+        'Wi-Fi': 'Yes',
+        Bluetooth: 'Yes, v 4.00',
+        Touchscreen: 'No',
+        'Expandable storage': 'Maybe',
+        '5 Stars': '3',
+        '4 Stars': '1',
+        '1 Stars': 0,
+      }),
+      {
+        rearCameraMp: 13,
+        frontCameraMp: 0,
+        cpuCores: 8,
+        cpuClockGHz: 1.4,
+        launchDate: new Date(Date.UTC(2012, 4, 1)),
+        launchYear: 2012,
+        osFamily: 'Android',
+        wifi: true,
+        bluetooth: true,
+        touchscreen: false,
+        expandableStorage: null,
+        ratingCount: 4,
+        averageRating: 4.75,
+        specsVersion: SPEC_FIELDS_VERSION,
+      }
+    );
+  });
+
+  it('reads the typed values an import stores', () => {
+    const derived = deriveSpecFields({
+      'Rear camera': 8,
+      'Front camera': 0,
+      Launched: new Date(Date.UTC(2015, 8, 1)),
+      Bluetooth: '5.00',
+      'Wi-Fi': false,
+    });
+    assert.equal(derived.rearCameraMp, 8);
+    assert.equal(derived.frontCameraMp, 0);
+    assert.equal(derived.launchYear, 2015);
+    assert.equal(derived.bluetooth, true);
+    assert.equal(derived.wifi, false);
+  });
+
+  it('leaves unknown values empty', () => {
+    const derived = deriveSpecFields({ 'Rear camera': '4-Ultrapixel', Launched: 'soon' });
+    assert.equal(derived.rearCameraMp, null);
+    assert.equal(derived.launchDate, null);
+    assert.equal(derived.launchYear, null);
+    assert.equal(derived.osFamily, null);
+    assert.equal(derived.ratingCount, 0);
+    assert.equal(derived.averageRating, null);
+  });
+});
@@ -1,16 +1,75 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
+import { API_BASE_URL } from './config.js';
+import { trackEvent, setTrackingToken } from './tracking.js';
+import { installAuthInterceptor, logoutSession } from './auth.js';
 
 // --- Configuration ---
-const API_BASE_URL = 'http://localhost:5000/api';
 const RECO_API_URL = `${API_BASE_URL}/recommendations`;
 const AUTH_API_URL = `${API_BASE_URL}/auth`;
-const INTERACTION_API_URL = `${API_BASE_URL}/interactions`;
 const MOBILES_API_URL = `${API_BASE_URL}/mobiles`;
+const CART_API_URL = `${API_BASE_URL}/cart`;
+const WISHLIST_API_URL = `${API_BASE_URL}/wishlist`;
+const PROFILE_API_URL = `${API_BASE_URL}/users/me`;
+const ADMIN_API_URL = `${API_BASE_URL}/admin`;
+const HOME_API_URL = `${API_BASE_URL}/home`;
+const FACETS_API_URL = `${API_BASE_URL}/mobiles/facets`;
 
 const LS_USER = 'reco_user';
 const LS_TOKEN = 'reco_token';
-const BRAND_LIST = ['Realme', 'Micromax', 'Samsung', 'Lava', 'Motorola', 'Asus', 'Huawei', 'Oppo', 'LG', 'ZTE', 'Xiaomi', 'Nokia', 'Honor', 'Celkon', 'Intex', 'Panasonic', 'Gionee', 'Zen', 'Tecno', 'Alcatel', 'HTC'].sort();
+const LS_REFRESH_TOKEN = 'reco_refresh_token';
+const LS_COMPARE = 'reco_compare';
+const HOME_PAGE_SIZE = 8;
+const MAX_COMPARE = 4;
+const authHeaders = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+const addToCart = (token, itemId, recId) => axios.post(`${CART_API_URL}/items`, { itemId, recId }, authHeaders(token));
+const addToWishlist = (token, itemId) => axios.post(`${WISHLIST_API_URL}/items`, { itemId }, authHeaders(token));
+
+// Imported phones store typed specs (true, ISO dates) next to the dataset's
+// "Yes" / "May 2012" strings; both read the same on screen.
+const formatSpecValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  return String(value);
+};
+
+// The OS families a profile may prefer (validated by the backend).
+const OS_FAMILIES = ['Android', 'iOS', 'Windows', 'BlackBerry', 'Proprietary'];
+
+// Shelf filters; '' / [] mean "any". Sent as the catalog filter params.
+const EMPTY_FILTERS = { brands: [], os: [], minBattery: '', minScreen: '', maxScreen: '' };
+const filterParams = (filters) => ({
+  brand: filters.brands.join(',') || undefined,
+  osFamily: filters.os.join(',') || undefined,
+  minBattery: filters.minBattery || undefined,
+  minScreen: filters.minScreen || undefined,
+  maxScreen: filters.maxScreen || undefined,
+});
+
+// Brands, OS families and battery/screen ranges with counts from the
+// catalog, or with scope 'recommendations' from the user's candidates.
+function useFacets(token, scope = 'catalog') {
+  const [facets, setFacets] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+    axios.get(FACETS_API_URL, { ...authHeaders(token), params: { scope } })
+      .then(response => setFacets(response.data))
+      .catch(err => console.error('Failed to load filters:', err));
+  }, [token, scope]);
+
+  return facets;
+}
+
+// The latest value, for effects that must not re-run when it changes: a
+// silent token refresh should not refetch a page or log its events again.
+function useLatestRef(value) {
+  const ref = useRef(value);
+  useEffect(() => { ref.current = value; }, [value]);
+  return ref;
+}
 
 /**
  * Main Application Component
@@ -19,6 +78,8 @@ export default function App() {
   const [currentUser, setCurrentUser] = useState(null);
   const [token, setToken] = useState(null);
   const [currentPage, setCurrentPage] = useState('home');
+  const [productId, setProductId] = useState(null);
+  const [compareItems, setCompareItems] = useState(() => JSON.parse(localStorage.getItem(LS_COMPARE) || '[]'));
 
   // --- Load user from localStorage ---
   useEffect(() => {
@@ -32,40 +93,122 @@ export default function App() {
     // Detect URL on first load
     const path = window.location.pathname.replace('/', '') || 'home';
     setCurrentPage(path);
+    setProductId(new URLSearchParams(window.location.search).get('id'));
   }, []);
 
+  // --- Keep the tracking client on the current session ---
+  useEffect(() => {
+    setTrackingToken(token);
+  }, [token]);
+
   // --- Sync URL whenever page changes ---
   const handlePageChange = (page) => {
     setCurrentPage(page);
     window.history.pushState({}, '', `/${page}`);
   };
 
+  // --- Open the in-app product page ---
+  const handleOpenProduct = (mobile) => {
+    setProductId(mobile.url);
+    setCurrentPage('product');
+    window.history.pushState({}, '', `/product?id=${encodeURIComponent(mobile.url)}`);
+    window.scrollTo(0, 0);
+  };
+
+  // --- Compare selection (kept across reloads, max MAX_COMPARE phones) ---
+  useEffect(() => {
+    localStorage.setItem(LS_COMPARE, JSON.stringify(compareItems));
+  }, [compareItems]);
+
+  const toggleCompare = useCallback((mobile) => {
+    setCompareItems(prev => {
+      if (prev.some(m => m.url === mobile.url)) return prev.filter(m => m.url !== mobile.url);
+      if (prev.length >= MAX_COMPARE) return prev;
+      return [...prev, { url: mobile.url, Brand: mobile.Brand, Model: mobile.Model }];
+    });
+  }, []);
+
+  const compare = { items: compareItems, toggle: toggleCompare };
+
   // --- Handle Login ---
-  const handleLogin = useCallback((user, token) => {
+  // New accounts go through onboarding before their first shelf.
+  const handleLogin = useCallback((user, token, refreshToken, isNewUser = false) => {
     localStorage.setItem(LS_USER, JSON.stringify(user));
     localStorage.setItem(LS_TOKEN, token);
+    localStorage.setItem(LS_REFRESH_TOKEN, refreshToken);
     setCurrentUser(user);
     setToken(token);
-    handlePageChange('home');
+    handlePageChange(isNewUser ? 'onboarding' : 'home');
   }, []);
 
-  // --- Handle Logout ---
-  const handleLogout = useCallback(() => {
+  // --- Clear the local session (no server call) ---
+  const clearSession = useCallback(() => {
     localStorage.removeItem(LS_USER);
     localStorage.removeItem(LS_TOKEN);
+    localStorage.removeItem(LS_REFRESH_TOKEN);
     setCurrentUser(null);
     setToken(null);
     handlePageChange('home');
   }, []);
 
+  // --- Handle Logout (revokes the refresh token server-side) ---
+  const handleLogout = useCallback(() => {
+    logoutSession(localStorage.getItem(LS_REFRESH_TOKEN));
+    clearSession();
+  }, [clearSession]);
+
+  // --- Refresh expired access tokens transparently ---
+  useEffect(() => installAuthInterceptor({
+    getSession: () => ({
+      token: localStorage.getItem(LS_TOKEN),
+      refreshToken: localStorage.getItem(LS_REFRESH_TOKEN),
+    }),
+    onRefreshed: ({ token, refreshToken, user }) => {
+      localStorage.setItem(LS_TOKEN, token);
+      localStorage.setItem(LS_REFRESH_TOKEN, refreshToken);
+      setToken(token);
+      // Picks up role changes made by an admin.
+      if (user) {
+        localStorage.setItem(LS_USER, JSON.stringify(user));
+        setCurrentUser(user);
+      }
+    },
+    onAuthFailure: clearSession,
+  }), [clearSession]);
+
+  // --- Follow refreshes and logouts made in other tabs ---
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key !== LS_TOKEN) return;
+      if (e.newValue) setToken(e.newValue);
+      else {
+        setCurrentUser(null);
+        setToken(null);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const isAdmin = currentUser?.role === 'admin';
+
   const renderPage = () => {
     if (!currentUser) return <LoginPage onLogin={handleLogin} />;
 
     switch (currentPage) {
-      case 'home': return <HomePage currentUser={currentUser} token={token} />;
-      case 'search': return <SearchPage token={token} />;
+      case 'home': return <HomePage currentUser={currentUser} token={token} onOpenProduct={handleOpenProduct} compare={compare} />;
+      case 'search': return <SearchPage token={token} onOpenProduct={handleOpenProduct} compare={compare} />;
+      case 'onboarding': return <ProfilePage token={token} isOnboarding onDone={() => handlePageChange('home')} />;
+      case 'profile': return <ProfilePage token={token} onDone={() => handlePageChange('home')} />;
+      case 'wishlist': return <WishlistPage token={token} onOpenProduct={handleOpenProduct} />;
+      case 'cart': return <CartPage token={token} onOpenProduct={handleOpenProduct} />;
+      case 'product': return <ProductPage key={productId} itemId={productId} token={token} onOpenProduct={handleOpenProduct} compare={compare} />;
+      case 'compare': return <ComparePage token={token} items={compareItems} onRemove={toggleCompare} onOpenProduct={handleOpenProduct} />;
       case 'about': return <AboutPage />;
-      default: return <HomePage currentUser={currentUser} token={token} />;
+      case 'admin': return isAdmin
+        ? <AdminPage token={token} currentUser={currentUser} onOpenProduct={handleOpenProduct} />
+        : <div className="error-message"><p>This page is only available to administrators.</p></div>;
+      default: return <HomePage currentUser={currentUser} token={token} onOpenProduct={handleOpenProduct} compare={compare} />;
     }
   };
 
@@ -77,10 +220,18 @@ export default function App() {
         currentPage={currentPage}
         onPageChange={handlePageChange}
         username={currentUser?.username}
+        isAdmin={isAdmin}
       />
       <main>
         <div className="page-container">{renderPage()}</div>
       </main>
+      {currentUser && currentPage !== 'compare' && compareItems.length > 0 && (
+        <CompareBar
+          items={compareItems}
+          onCompare={() => handlePageChange('compare')}
+          onClear={() => setCompareItems([])}
+        />
+      )}
     </>
   );
 }
@@ -88,7 +239,7 @@ export default function App() {
 // =========================================================
 // --- HEADER COMPONENT ---
 // =========================================================
-function Header({ isLoggedIn, onLogout, currentPage, onPageChange, username }) {
+function Header({ isLoggedIn, onLogout, currentPage, onPageChange, username, isAdmin }) {
   return (
     <header className="app-header">
       <h1>Mobile Recommendation Engine</h1>
@@ -107,12 +258,38 @@ function Header({ isLoggedIn, onLogout, currentPage, onPageChange, username }) {
             >
               Search
             </button>
+            <button
+              className={`nav-tab ${currentPage === 'wishlist' ? 'active' : ''}`}
+              onClick={() => onPageChange('wishlist')}
+            >
+              Wishlist
+            </button>
+            <button
+              className={`nav-tab ${currentPage === 'cart' ? 'active' : ''}`}
+              onClick={() => onPageChange('cart')}
+            >
+              Cart
+            </button>
+            <button
+              className={`nav-tab ${currentPage === 'profile' ? 'active' : ''}`}
+              onClick={() => onPageChange('profile')}
+            >
+              Profile
+            </button>
             <button
               className={`nav-tab ${currentPage === 'about' ? 'active' : ''}`}
               onClick={() => onPageChange('about')}
             >
               About
             </button>
+            {isAdmin && (
+              <button
+                className={`nav-tab ${currentPage === 'admin' ? 'active' : ''}`}
+                onClick={() => onPageChange('admin')}
+              >
+                Admin
+              </button>
+            )}
           </div>
           <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
             <span style={{ fontWeight: 600, fontSize: '0.9rem', color: '#2c3e50' }}>
@@ -146,7 +323,7 @@ function LoginPage({ onLogin }) {
     try {
       const response = await axios.post(url, { username, password });
       setIsLoading(false); 
-      onLogin(response.data.user, response.data.token);
+      onLogin(response.data.user, response.data.token, response.data.refreshToken, !isLogin);
     } catch (err) {
       setError(err.response?.data?.message || 'An unknown error occurred.');
       setIsLoading(false);
@@ -171,72 +348,76 @@ function LoginPage({ onLogin }) {
   );
 }
 
-// --- HOME PAGE (RECOMMENDATION LOGIC) ---
-function HomePage({ currentUser, token }) {
-  const [recommendations, setRecommendations] = useState([]);
-  const [recoType, setRecoType] = useState(null);
+// --- HOME PAGE (shelves from /api/home, each paged on its own) ---
+function HomePage({ currentUser, token, onOpenProduct, compare }) {
+  const [shelves, setShelves] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  
-  const [recoParams, setRecoParams] = useState({ page: 1, limit: 10, brand: '' });
-
-  const handleRecoShelfChange = (key, value) => {
-    setRecoParams(prev => ({ 
-      ...prev, 
-      [key]: value,
-      page: (key === 'page') ? value : 1
-    }));
-  };
+  const facets = useFacets(token, 'recommendations');
+  const tokenRef = useLatestRef(token);
+  const userId = currentUser?.id;
 
+  // Every fetch logs shelf impressions, so it runs for a new user or new
+  // filters only.
   useEffect(() => {
-    const fetchRecommendations = async () => {
-      if (!currentUser || !token) return; 
+    const fetchHome = async () => {
+      if (!userId || !tokenRef.current) return;
       setIsLoading(true);
       setError(null);
-      setRecommendations([]);
+      setShelves([]);
 
       try {
-        const response = await axios.get(RECO_API_URL, {
-          headers: { Authorization: `Bearer ${token}` },
-          params: { limit: recoParams.limit, page: recoParams.page, brand: recoParams.brand }
+        const response = await axios.get(HOME_API_URL, {
+          ...authHeaders(tokenRef.current),
+          params: { ...filterParams(filters), limit: HOME_PAGE_SIZE }
         });
-        setRecommendations(response.data.recommendations || []);
-        setRecoType(response.data.type || 'unknown');
+        setShelves(response.data.shelves || []);
       } catch (err) {
-        console.error('Failed to fetch recommendations:', err);
+        console.error('Failed to fetch home shelves:', err);
         setError('Failed to fetch recommendations. Is the backend server running?');
       }
       setIsLoading(false);
     };
-    fetchRecommendations();
-  }, [currentUser, token, recoParams]);
+    // Sliders fire on every step; wait for them to settle.
+    const delayDebounce = setTimeout(() => fetchHome(), 300);
+    return () => clearTimeout(delayDebounce);
+  }, [userId, filters, tokenRef]);
+
+  // Pages one shelf through the cursor it came with; the others keep their place.
+  const handleShelfPage = async (shelfId, cursor) => {
+    try {
+      const response = await axios.get(HOME_API_URL, {
+        ...authHeaders(token),
+        params: { cursor, limit: HOME_PAGE_SIZE }
+      });
+      setShelves(prev => prev.map(s => (s.id === shelfId ? response.data : s)));
+    } catch (err) {
+      console.error('Failed to page shelf:', err);
+    }
+  };
 
-  const handleProductClick = (mobile) => {
-    axios.post(INTERACTION_API_URL, { itemId: mobile.url, interactionType: 'view' }, { headers: { Authorization: `Bearer ${token}` } })
-    .catch(err => console.error("Failed to log interaction:", err));
-    alert(`You clicked ${mobile.Brand} ${mobile.Model}\n\nThis interaction has been logged. Try refreshing after 5 clicks!`);
+  // "Not interested": hide the card right away; the backend suppresses it from now on.
+  const handleDismiss = (shelfId, mobile) => {
+    setShelves(prev => prev.map(s => (
+      s.id === shelfId ? { ...s, recommendations: s.recommendations.filter(m => m.url !== mobile.url) } : s
+    )));
+    axios.post(`${RECO_API_URL}/dismiss`, { itemId: mobile.url }, authHeaders(token))
+      .catch(err => console.error('Failed to record dismissal:', err));
   };
 
   const getUserMessage = (type) => {
     switch (type) {
       case 'hybrid_warm_start': return 'Welcome back! Based on your recent activity, here are your personalized hybrid recommendations.';
-      case 'cold_start_cbf': return 'Welcome! Since you\'re new, here are some items similar to the last one you viewed.';
+      case 'js_fallback_hybrid': return 'Our recommendation models are taking a break, so these picks come from our built-in similarity engine.';
+      case 'cold_start_profile': return 'Welcome! Here are popular phones matching the preferences you told us about.';
       case 'cold_start_popular':
       case 'error_fallback_popular': return 'Welcome! Since you\'re new, here are some of our most popular items to get you started.';
       default: return 'Welcome to the store!';
     }
   };
-  
-  const getShelfTitle = (type) => {
-      switch (type) {
-        case 'hybrid_warm_start': return 'Just For You (Hybrid Model)';
-        case 'cold_start_cbf': return 'Items Similar to Last Click (CBF Model)';
-        case 'cold_start_popular': return 'Trending Now (Popularity Model)';
-        case 'error_fallback_popular': return 'Top Picks (Error Fallback)';
-        default: return 'Recommendations';
-      }
-    };
 
+  const recoType = shelves.find(s => s.id === 'just_for_you')?.type;
 
   return (
     <>
@@ -246,31 +427,45 @@ function HomePage({ currentUser, token }) {
           <p>{isLoading ? "Loading your info..." : getUserMessage(recoType)}</p>
         </div>
       </div>
-      
-      <RecommendationShelf
-        recommendations={recommendations}
-        isLoading={isLoading}
-        error={error}
-        onProductClick={handleProductClick}
-        title={getShelfTitle(recoType)}
-        // Pass necessary props for controls to render within the shelf
-        RecoShelfControls={RecoShelfControls}
-        recoParams={recoParams}
-        onBrandChange={(b) => handleRecoShelfChange('brand', b)}
-        onPageChange={(p) => handleRecoShelfChange('page', p)}
-        isPrevDisabled={recoParams.page === 1}
-        isNextDisabled={recommendations.length < recoParams.limit || isLoading} 
-      />
+
+      <RecoShelfControls filters={filters} facets={facets} onFiltersChange={setFilters} />
+
+      {isLoading && (<div className="loading-spinner"><div className="spinner"></div></div>)}
+      {error && <div className="error-message"><p>{error}</p></div>}
+      {!isLoading && !error && shelves.length === 0 && (
+        <div className="error-message" style={{ backgroundColor: '#f9f9f9', color: '#555' }}>
+          <p>No recommendations found. Adjust filters or try again later.</p>
+        </div>
+      )}
+
+      {shelves.map(shelf => (
+        <RecommendationShelf
+          key={shelf.id}
+          title={shelf.title}
+          recommendations={shelf.recommendations}
+          recId={shelf.recId}
+          isLoading={false}
+          error={null}
+          onProductClick={onOpenProduct}
+          onDismiss={(mobile) => handleDismiss(shelf.id, mobile)}
+          token={token}
+          compare={compare}
+          RecoShelfControls={RecoShelfControls}
+          pagination={shelf}
+          onPageChange={(cursor) => handleShelfPage(shelf.id, cursor)}
+        />
+      ))}
     </>
   );
 }
 
 // --- SEARCH PAGE ---
-function SearchPage({ token }) {
+function SearchPage({ token, onOpenProduct, compare }) {
   const [query, setQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [selectedMobile, setSelectedMobile] = useState(null);
   const [similarItems, setSimilarItems] = useState([]);
+  const [similarRecId, setSimilarRecId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
@@ -306,7 +501,8 @@ function SearchPage({ token }) {
         params: { itemId: mobile.url },
         headers: { 'Authorization': `Bearer ${token}` }
       });
-      setSimilarItems(response.data);
+      setSimilarItems(response.data.recommendations);
+      setSimilarRecId(response.data.recId || null);
     } catch (err) {
       console.error("Failed to get similar items:", err);
       setError("Could not load similar items.");
@@ -320,12 +516,15 @@ function SearchPage({ token }) {
       <p>Search for a phone to see content-based recommendations.</p>
       
       <div className="search-bar-container">
-        <input type="text" className="search-bar" placeholder="Search for a phone (e.g., Realme, Micromax...)" value={query} onChange={(e) => setQuery(e.target.value)} />
+        <input type="text" className="search-bar" placeholder="Search for a phone (e.g., Redmi Note 5, android 6 inch, 5000mAh...)" value={query} onChange={(e) => setQuery(e.target.value)} />
 
         {searchResults.length > 0 && (
           <ul className="search-results-dropdown">
             {searchResults.map(mobile => (
-              <li key={mobile.url} className="search-result-item" onClick={() => handleSelectMobile(mobile)}>{mobile.Brand} {mobile.Model}</li>
+              <li key={mobile.url} className="search-result-item" onClick={() => handleSelectMobile(mobile)}>
+                <Highlighted text={mobile.Brand} ranges={mobile.highlights?.Brand} />{' '}
+                <Highlighted text={mobile.Model} ranges={mobile.highlights?.Model} />
+              </li>
             ))}
           </ul>
         )}
@@ -335,9 +534,12 @@ function SearchPage({ token }) {
         <div style={{ marginTop: '2rem' }}>
           <RecommendationShelf
             recommendations={similarItems}
+            recId={similarRecId}
             isLoading={isLoading}
             error={error}
-            onProductClick={(m) => alert(`Clicked ${m.Brand} ${m.Model}`)}
+            onProductClick={onOpenProduct}
+            token={token}
+            compare={compare}
             title={`Phones Similar to ${selectedMobile.Brand} ${selectedMobile.Model}`}
           />
         </div>
@@ -346,6 +548,758 @@ function SearchPage({ token }) {
   );
 }
 
+// Wraps the [start, end] ranges returned by the search API in <mark>.
+function Highlighted({ text, ranges = [] }) {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
+
+// --- PRODUCT DETAIL PAGE ---
+function ProductPage({ itemId, token, onOpenProduct, compare }) {
+  const [mobile, setMobile] = useState(null);
+  const [similarItems, setSimilarItems] = useState([]);
+  const [similarRecId, setSimilarRecId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSimilarLoading, setIsSimilarLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const tokenRef = useLatestRef(token);
+
+  useEffect(() => {
+    if (itemId) trackEvent('view', itemId);
+  }, [itemId]);
+
+  useEffect(() => {
+    if (!itemId) return;
+    const headers = { Authorization: `Bearer ${tokenRef.current}` };
+
+    const fetchProduct = async () => {
+      try {
+        const response = await axios.get(`${MOBILES_API_URL}/${encodeURIComponent(itemId)}`, { headers });
+        setMobile(response.data);
+      } catch (err) {
+        console.error('Failed to load product:', err);
+        setError(err.response?.status === 404 ? 'This phone could not be found.' : 'Could not load this phone.');
+      }
+      setIsLoading(false);
+    };
+
+    const fetchSimilar = async () => {
+      try {
+        const response = await axios.get(`${MOBILES_API_URL}/similar`, { params: { itemId }, headers });
+        setSimilarItems(response.data.recommendations);
+        setSimilarRecId(response.data.recId || null);
+      } catch (err) {
+        console.error('Failed to get similar items:', err);
+      }
+      setIsSimilarLoading(false);
+    };
+
+    fetchProduct();
+    fetchSimilar();
+  }, [itemId, tokenRef]);
+
+  if (!itemId) return <div className="error-message"><p>No phone selected.</p></div>;
+  if (isLoading) return <div className="loading-spinner"><div className="spinner"></div></div>;
+  if (error) return <div className="error-message"><p>{error}</p></div>;
+
+  const { Brand, Model, 'Picture URL': imageUrl, url, specs, ratings } = mobile;
+  const maxCount = Math.max(...ratings.histogram.map(h => h.count), 1);
+
+  return (
+    <div className="product-page">
+      <div className="product-detail">
+        <img
+          src={imageUrl}
+          alt={`${Brand} ${Model}`}
+          className="product-detail-img"
+          onError={(e) => { e.target.src = `https://placehold.co/180x180/e0e0e0/777?text=${Brand}`; }}
+        />
+        <div className="product-detail-info">
+          <h2>{Brand} {Model}</h2>
+          <p className="product-rating-average">
+            {ratings.average !== null ? `★ ${ratings.average.toFixed(1)} / 5` : 'No ratings yet'}
+            <span> ({ratings.count} ratings)</span>
+          </p>
+          <div className="rating-histogram">
+            {ratings.histogram.map(({ stars, count }) => (
+              <div key={stars} className="rating-row">
+                <span className="rating-label">{stars} ★</span>
+                <div className="rating-bar"><div className="rating-bar-fill" style={{ width: `${(count / maxCount) * 100}%` }}></div></div>
+                <span className="rating-count">{count}</span>
+              </div>
+            ))}
+          </div>
+          <div className="product-actions">
+            <AddToCartButton token={token} itemId={url} />
+            <WishlistButton token={token} itemId={url} />
+            <CompareButton mobile={mobile} compare={compare} />
+            <a href={url} target="_blank" rel="noopener noreferrer" className="view-link">View on NDTV 🔗</a>
+          </div>
+        </div>
+      </div>
+
+      <table className="spec-table">
+        <tbody>
+          {Object.entries(specs).map(([name, value]) => (
+            <tr key={name}><th>{name}</th><td>{formatSpecValue(value)}</td></tr>
+          ))}
+        </tbody>
+      </table>
+
+      <RecommendationShelf
+        recommendations={similarItems}
+        recId={similarRecId}
+        isLoading={isSimilarLoading}
+        error={null}
+        onProductClick={onOpenProduct}
+        token={token}
+        compare={compare}
+        title={`Phones Similar to ${Brand} ${Model}`}
+      />
+    </div>
+  );
+}
+
+// --- PROFILE / ONBOARDING PAGE ---
+const EMPTY_PROFILE = {
+  preferredBrands: [],
+  preferredOS: [],
+  budget: { min: '', max: '' },
+  minBattery: '',
+  screen: { min: '', max: '' },
+};
+
+// Inputs use '' for "no preference"; the API uses null.
+const toFormValue = (value) => (value === null || value === undefined ? '' : value);
+const toApiValue = (value) => (value === '' ? null : Number(value));
+
+function ProfilePage({ token, isOnboarding = false, onDone }) {
+  const [form, setForm] = useState(EMPTY_PROFILE);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const facets = useFacets(token);
+  // Catalog brands, plus saved ones no longer sold so they can be removed.
+  const brandOptions = [...new Set([
+    ...(facets?.brands || []).map(b => b.value),
+    ...form.preferredBrands,
+  ])].sort();
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await axios.get(PROFILE_API_URL, authHeaders(token));
+        const { profile } = response.data;
+        setForm({
+          preferredBrands: profile.preferredBrands,
+          preferredOS: profile.preferredOS,
+          budget: { min: toFormValue(profile.budget?.min), max: toFormValue(profile.budget?.max) },
+          minBattery: toFormValue(profile.minBattery),
+          screen: { min: toFormValue(profile.screen?.min), max: toFormValue(profile.screen?.max) },
+        });
+      } catch (err) {
+        console.error('Failed to load profile:', err);
+      }
+      setIsLoading(false);
+    };
+    fetchProfile();
+  }, [token]);
+
+  const toggle = (key, value) => {
+    setForm(prev => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value],
+    }));
+  };
+
+  const setRange = (key, bound, value) => {
+    setForm(prev => ({ ...prev, [key]: { ...prev[key], [bound]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      await axios.put(PROFILE_API_URL, {
+        preferredBrands: form.preferredBrands,
+        preferredOS: form.preferredOS,
+        budget: { min: toApiValue(form.budget.min), max: toApiValue(form.budget.max) },
+        minBattery: toApiValue(form.minBattery),
+        screen: { min: toApiValue(form.screen.min), max: toApiValue(form.screen.max) },
+      }, authHeaders(token));
+      onDone();
+    } catch (err) {
+      setError(err.response?.data?.errors?.join(' ') || 'Could not save your preferences.');
+    }
+    setIsSaving(false);
+  };
+
+  if (isLoading) return <div className="loading-spinner"><div className="spinner"></div></div>;
+
+  return (
+    <div className="profile-page">
+      <h2>{isOnboarding ? 'Tell us what you like' : 'Your Preferences'}</h2>
+      <p>{isOnboarding
+        ? 'Pick a few preferences so your first recommendations fit you. You can change them any time from Profile.'
+        : 'These preferences shape recommendations until we learn more from your activity.'}</p>
+      {error && <p className="form-error">{error}</p>}
+
+      <form onSubmit={handleSubmit}>
+        <fieldset className="profile-fieldset">
+          <legend>Favourite brands</legend>
+          <div className="chip-group scrollable">
+            {brandOptions.map(brand => (
+              <label key={brand} className={`chip ${form.preferredBrands.includes(brand) ? 'active' : ''}`}>
+                <input type="checkbox" checked={form.preferredBrands.includes(brand)} onChange={() => toggle('preferredBrands', brand)} />
+                {brand}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset className="profile-fieldset">
+          <legend>Operating system</legend>
+          <div className="chip-group">
+            {OS_FAMILIES.map(os => (
+              <label key={os} className={`chip ${form.preferredOS.includes(os) ? 'active' : ''}`}>
+                <input type="checkbox" checked={form.preferredOS.includes(os)} onChange={() => toggle('preferredOS', os)} />
+                {os}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset className="profile-fieldset">
+          <legend>Budget (₹)</legend>
+          <input type="number" min="0" className="form-input range-input" placeholder="Min" value={form.budget.min} onChange={(e) => setRange('budget', 'min', e.target.value)} />
+          <input type="number" min="0" className="form-input range-input" placeholder="Max" value={form.budget.max} onChange={(e) => setRange('budget', 'max', e.target.value)} />
+          <p className="form-note">Saved for when the catalog lists prices; it does not affect recommendations yet.</p>
+        </fieldset>
+
+        <fieldset className="profile-fieldset">
+          <legend>Minimum battery (mAh)</legend>
+          <input type="number" min="0" step="100" className="form-input range-input" placeholder="e.g. 4000" value={form.minBattery} onChange={(e) => setForm(prev => ({ ...prev, minBattery: e.target.value }))} />
+        </fieldset>
+
+        <fieldset className="profile-fieldset">
+          <legend>Screen size (inches)</legend>
+          <input type="number" min="0" step="0.1" className="form-input range-input" placeholder="Min" value={form.screen.min} onChange={(e) => setRange('screen', 'min', e.target.value)} />
+          <input type="number" min="0" step="0.1" className="form-input range-input" placeholder="Max" value={form.screen.max} onChange={(e) => setRange('screen', 'max', e.target.value)} />
+        </fieldset>
+
+        <div className="product-actions">
+          <button type="submit" className="form-button" style={{ width: 'auto' }} disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save preferences'}
+          </button>
+          {isOnboarding && (
+            <button type="button" className="nav-tab" onClick={onDone}>Skip for now</button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// --- WISHLIST BUTTON ---
+function WishlistButton({ token, itemId, compact = false }) {
+  const [status, setStatus] = useState('idle');
+
+  const handleSave = async (e) => {
+    e.stopPropagation();
+    setStatus('saving');
+    try {
+      await addToWishlist(token, itemId);
+      setStatus('saved');
+    } catch (err) {
+      console.error('Failed to save to wishlist:', err);
+      setStatus('error');
+    }
+  };
+
+  const label = { idle: '♡ Save', saving: 'Saving...', saved: '♥ Saved', error: 'Retry' }[status];
+  return (
+    <button
+      className={`wishlist-button ${compact ? 'compact' : ''}`}
+      onClick={handleSave}
+      onKeyDown={(e) => e.stopPropagation()}
+      disabled={status === 'saving' || status === 'saved'}
+    >
+      {label}
+    </button>
+  );
+}
+
+// --- WISHLIST PAGE ---
+function WishlistPage({ token, onOpenProduct }) {
+  const [wishlist, setWishlist] = useState({ items: [], count: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchWishlist = async () => {
+      try {
+        const response = await axios.get(WISHLIST_API_URL, authHeaders(token));
+        setWishlist(response.data);
+      } catch (err) {
+        console.error('Failed to load wishlist:', err);
+        setError('Could not load your wishlist.');
+      }
+      setIsLoading(false);
+    };
+    fetchWishlist();
+  }, [token]);
+
+  const handleRemove = async (itemId) => {
+    try {
+      const response = await axios.delete(`${WISHLIST_API_URL}/items/${encodeURIComponent(itemId)}`, authHeaders(token));
+      setWishlist(response.data);
+    } catch (err) {
+      console.error('Failed to remove item:', err);
+      setError('Could not update your wishlist.');
+    }
+  };
+
+  if (isLoading) return <div className="loading-spinner"><div className="spinner"></div></div>;
+
+  return (
+    <div className="cart-page">
+      <h2>Your Wishlist</h2>
+      {error && <div className="error-message"><p>{error}</p></div>}
+      {wishlist.items.length === 0 ? (
+        <p>Nothing saved yet. Use ♡ Save on any phone to keep it here.</p>
+      ) : (
+        <ul className="cart-list">
+          {wishlist.items.map(item => (
+            <li key={item.url} className="cart-item">
+              <span className="cart-item-name" onClick={() => onOpenProduct(item)}>{item.Brand} {item.Model}</span>
+              <AddToCartButton token={token} itemId={item.url} compact />
+              <button className="logout-button" onClick={() => handleRemove(item.url)}>Remove</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// --- CART PAGE ---
+function CartPage({ token, onOpenProduct }) {
+  const [cart, setCart] = useState({ items: [], count: 0 });
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchCart = async () => {
+      try {
+        const response = await axios.get(CART_API_URL, authHeaders(token));
+        setCart(response.data);
+      } catch (err) {
+        console.error('Failed to load cart:', err);
+        setError('Could not load your cart.');
+      }
+      setIsLoading(false);
+    };
+    fetchCart();
+  }, [token]);
+
+  const handleRemove = async (itemId) => {
+    try {
+      const response = await axios.delete(`${CART_API_URL}/items/${encodeURIComponent(itemId)}`, authHeaders(token));
+      setCart(response.data);
+    } catch (err) {
+      console.error('Failed to remove item:', err);
+      setError('Could not update your cart.');
+    }
+  };
+
+  const handleCheckout = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${CART_API_URL}/checkout`, {}, authHeaders(token));
+      setOrder(response.data);
+      setCart({ items: [], count: 0 });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Checkout failed.');
+    }
+    setIsLoading(false);
+  };
+
+  if (isLoading) return <div className="loading-spinner"><div className="spinner"></div></div>;
+
+  return (
+    <div className="cart-page">
+      <h2>Your Cart</h2>
+      {error && <div className="error-message"><p>{error}</p></div>}
+      {order && (
+        <div className="welcome-box">
+          <p>✅ {order.message} Order <strong>{order.orderId}</strong> — {order.count} item(s).</p>
+        </div>
+      )}
+
+      {cart.items.length === 0 ? (
+        <p>Your cart is empty.</p>
+      ) : (
+        <>
+          <ul className="cart-list">
+            {cart.items.map(item => (
+              <li key={item.url} className="cart-item">
+                <span className="cart-item-name" onClick={() => onOpenProduct(item)}>{item.Brand} {item.Model}</span>
+                <span>Qty: {item.quantity}</span>
+                <button className="logout-button" onClick={() => handleRemove(item.url)}>Remove</button>
+              </li>
+            ))}
+          </ul>
+          <button className="form-button" style={{ width: 'auto' }} onClick={handleCheckout}>
+            Checkout ({cart.count} item{cart.count === 1 ? '' : 's'})
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// --- COMPARE TOGGLE ---
+// Adds or removes the phone from the compare selection; disabled once it is full.
+function CompareButton({ mobile, compare, compact = false }) {
+  if (!compare) return null;
+  const selected = compare.items.some(m => m.url === mobile.url);
+  const isFull = !selected && compare.items.length >= MAX_COMPARE;
+
+  return (
+    <button
+      className={`compare-button ${compact ? 'compact' : ''} ${selected ? 'selected' : ''}`}
+      title={isFull ? `You can compare up to ${MAX_COMPARE} phones` : undefined}
+      onClick={(e) => { e.stopPropagation(); compare.toggle(mobile); }}
+      onKeyDown={(e) => e.stopPropagation()}
+      disabled={isFull}
+    >
+      {selected ? '✓ Comparing' : '⇄ Compare'}
+    </button>
+  );
+}
+
+// --- COMPARE BAR (floating, shown while phones are selected) ---
+function CompareBar({ items, onCompare, onClear }) {
+  return (
+    <div className="compare-bar">
+      <span className="compare-bar-items">
+        {items.map(m => `${m.Brand} ${m.Model}`).join(' · ')}
+      </span>
+      <button className="form-button" onClick={onCompare} disabled={items.length < 2}>
+        Compare now ({items.length}/{MAX_COMPARE})
+      </button>
+      <button className="logout-button" onClick={onClear}>Clear</button>
+    </div>
+  );
+}
+
+// --- COMPARE PAGE ---
+function ComparePage({ token, items, onRemove, onOpenProduct }) {
+  const [comparison, setComparison] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const itemIds = items.map(m => m.url);
+  const idsKey = itemIds.join('\n');
+  const tokenRef = useLatestRef(token);
+
+  // The backend logs a compare interaction per phone on every request.
+  useEffect(() => {
+    const ids = idsKey ? idsKey.split('\n') : [];
+    if (ids.length < 2) return;
+    const fetchComparison = async () => {
+      setIsLoading(true);
+      setError(null);
+      try {
+        const response = await axios.post(`${MOBILES_API_URL}/compare`, { itemIds: ids }, authHeaders(tokenRef.current));
+        setComparison(response.data);
+      } catch (err) {
+        console.error('Failed to compare phones:', err);
+        setError(err.response?.data?.message || 'Could not compare these phones.');
+      }
+      setIsLoading(false);
+    };
+    fetchComparison();
+  }, [idsKey, tokenRef]);
+
+  if (itemIds.length < 2) {
+    return (
+      <div className="cart-page">
+        <h2>Compare Phones</h2>
+        <p>Pick at least two phones with ⇄ Compare to see them side by side.</p>
+      </div>
+    );
+  }
+  if (error) return <div className="error-message"><p>{error}</p></div>;
+  if (isLoading || !comparison) return <div className="loading-spinner"><div className="spinner"></div></div>;
+
+  return (
+    <div className="compare-page">
+      <h2>Compare Phones</h2>
+      <table className="spec-table compare-table">
+        <thead>
+          <tr>
+            <th></th>
+            {comparison.items.map(item => (
+              <th key={item.url}>
+                <img
+                  src={item['Picture URL']}
+                  alt={`${item.Brand} ${item.Model}`}
+                  className="compare-img"
+                  onError={(e) => { e.target.src = `https://placehold.co/90x90/e0e0e0/777?text=${item.Brand}`; }}
+                />
+                <span className="cart-item-name" onClick={() => onOpenProduct(item)}>{item.Brand} {item.Model}</span>
+                <button className="logout-button" onClick={() => onRemove(item)}>Remove</button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {comparison.rows.map(row => (
+            <tr key={row.key}>
+              <th>{row.label}</th>
+              {row.values.map((value, i) => (
+                <td key={comparison.items[i].url} className={row.best.includes(i) ? 'compare-best' : ''}>
+                  {formatCompareValue(value)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const formatCompareValue = (value) => (value === null || value === undefined || value === '' ? '—' : formatSpecValue(value));
+
+// --- ADMIN DASHBOARD ---
+const ADMIN_WINDOWS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: 'all', label: 'All time' },
+];
+const VOLUME_TYPES = ['view', 'click', 'cart', 'purchase', 'wishlist', 'dismiss', 'compare'];
+const TOP_ITEM_TITLES = { view: 'Most viewed', cart: 'Most carted', purchase: 'Most purchased' };
+
+function AdminPage({ token, currentUser, onOpenProduct }) {
+  const [days, setDays] = useState('30');
+  const [overview, setOverview] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchDashboard = async () => {
+      setError(null);
+      try {
+        const [overviewRes, usersRes] = await Promise.all([
+          axios.get(`${ADMIN_API_URL}/overview`, { ...authHeaders(token), params: { days } }),
+          axios.get(`${ADMIN_API_URL}/users`, { ...authHeaders(token), params: { limit: 50 } }),
+        ]);
+        setOverview(overviewRes.data);
+        setUsers(usersRes.data.users);
+      } catch (err) {
+        console.error('Failed to load admin dashboard:', err);
+        setError(err.response?.status === 403 ? 'Admin access required.' : 'Could not load the dashboard.');
+      }
+    };
+    fetchDashboard();
+  }, [token, days]);
+
+  const handleRoleChange = async (userId, role) => {
+    try {
+      const response = await axios.put(`${ADMIN_API_URL}/users/${encodeURIComponent(userId)}/role`, { role }, authHeaders(token));
+      setUsers(prev => prev.map(u => (u.id === userId ? { ...u, role: response.data.user.role } : u)));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Could not update role.');
+    }
+  };
+
+  if (error) return <div className="error-message"><p>{error}</p></div>;
+  if (!overview) return <div className="loading-spinner"><div className="spinner"></div></div>;
+
+  const { volume, topItems, activeUsers, users: segments, recommendationTypes, catalog } = overview;
+  const maxVolume = Math.max(...volume.map(d => d.total), 1);
+  const totalServed = recommendationTypes.reduce((sum, r) => sum + r.count, 0);
+
+  return (
+    <div className="admin-page">
+      <div className="admin-header">
+        <h2>Admin Dashboard</h2>
+        <select className="form-input admin-window-select" value={days} onChange={(e) => setDays(e.target.value)}>
+          {ADMIN_WINDOWS.map(w => <option key={w.value} value={w.value}>{w.label}</option>)}
+        </select>
+      </div>
+
+      <div className="admin-stats">
+        <div className="admin-stat"><strong>{activeUsers}</strong><span>Active users</span></div>
+        <div className="admin-stat"><strong>{segments.registered}</strong><span>Registered users</span></div>
+        <div className="admin-stat"><strong>{segments.coldStart}</strong><span>Cold start (&lt; {segments.coldStartThreshold} phones interacted with)</span></div>
+        <div className="admin-stat"><strong>{segments.warmStart}</strong><span>Warm start</span></div>
+        <div className="admin-stat"><strong>{catalog.mobiles}</strong><span>Phones in catalog</span></div>
+      </div>
+
+      <section className="admin-section">
+        <h3>Interaction volume</h3>
+        {volume.length === 0 ? (
+          <p>Daily volume is shown for a bounded time window.</p>
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr><th>Date</th>{VOLUME_TYPES.map(t => <th key={t}>{t}</th>)}<th>Total</th></tr>
+            </thead>
+            <tbody>
+              {volume.map(day => (
+                <tr key={day.date}>
+                  <td>{day.date}</td>
+                  {VOLUME_TYPES.map(t => <td key={t}>{day[t]}</td>)}
+                  <td>
+                    <div className="admin-bar"><div className="admin-bar-fill" style={{ width: `${(day.total / maxVolume) * 100}%` }}></div></div>
+                    {day.total}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <section className="admin-section admin-columns">
+        {Object.entries(TOP_ITEM_TITLES).map(([type, title]) => (
+          <div key={type}>
+            <h3>{title}</h3>
+            {topItems[type].length === 0 ? <p>No data.</p> : (
+              <ol className="admin-top-list">
+                {topItems[type].map(item => (
+                  <li key={item.itemId}>
+                    <span className="cart-item-name" onClick={() => onOpenProduct({ url: item.itemId })}>{item.name}</span>
+                    <span>{item.count}</span>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+      </section>
+
+      <section className="admin-section">
+        <h3>Recommendation types served</h3>
+        {recommendationTypes.length === 0 ? <p>No recommendations served in this window.</p> : (
+          recommendationTypes.map(r => (
+            <div key={r.type} className="rating-row">
+              <span className="admin-type-label">{r.type}</span>
+              <div className="rating-bar"><div className="rating-bar-fill" style={{ width: `${(r.count / totalServed) * 100}%` }}></div></div>
+              <span className="rating-count">{r.count}</span>
+            </div>
+          ))
+        )}
+      </section>
+
+      <CatalogImport token={token} />
+
+      <section className="admin-section">
+        <h3>Users</h3>
+        <table className="admin-table">
+          <thead>
+            <tr><th>Username</th><th>Interactions</th><th>Segment</th><th>Last active</th><th>Role</th></tr>
+          </thead>
+          <tbody>
+            {users.map(u => (
+              <tr key={u.id}>
+                <td>{u.username}</td>
+                <td>{u.interactions}</td>
+                <td>{u.segment === 'cold_start' ? 'Cold start' : 'Warm start'}</td>
+                <td>{u.lastActiveAt ? new Date(u.lastActiveAt).toLocaleDateString() : '—'}</td>
+                <td>
+                  <select
+                    value={u.role}
+                    disabled={u.id === currentUser.id}
+                    onChange={(e) => handleRoleChange(u.id, e.target.value)}
+                  >
+                    <option value="user">user</option>
+                    <option value="admin">admin</option>
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+// --- CATALOG IMPORT (admin) ---
+// Uploads a Mongo export (.json) or .csv file as-is; the backend validates
+// each row and reports what it did.
+function CatalogImport({ token }) {
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState('idle');
+
+  const handleImport = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setStatus('uploading');
+    setReport(null);
+    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+    try {
+      const response = await axios.post(`${ADMIN_API_URL}/mobiles/import`, await file.text(), {
+        headers: { ...authHeaders(token).headers, 'Content-Type': format === 'csv' ? 'text/csv' : 'text/plain' },
+        params: { format, dryRun },
+      });
+      setReport(response.data);
+      setStatus('idle');
+    } catch (err) {
+      setReport(err.response?.data || { message: 'Import failed.' });
+      setStatus('idle');
+    }
+  };
+
+  return (
+    <section className="admin-section">
+      <h3>Catalog import</h3>
+      <form className="admin-import-form" onSubmit={handleImport}>
+        <input type="file" accept=".json,.csv" onChange={(e) => setFile(e.target.files[0] || null)} />
+        <label><input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} /> Validate only</label>
+        <button type="submit" className="form-button" disabled={!file || status === 'uploading'}>
+          {status === 'uploading' ? 'Uploading...' : 'Import'}
+        </button>
+      </form>
+      {report && (
+        <div className="admin-import-report">
+          {report.message && <p className="form-error">{report.message}</p>}
+          {report.received !== undefined && (
+            <p>
+              {report.received} rows: {report.valid} valid, {report.failed} failed
+              {!report.dryRun && ` — ${report.inserted} inserted, ${report.updated} updated, ${report.unchanged} unchanged`}.
+            </p>
+          )}
+          {report.errors?.length > 0 && (
+            <ul>
+              {report.errors.slice(0, 20).map(e => (
+                <li key={e.row}>Row {e.row}{e.url ? ` (${e.url})` : ''}: {e.errors.join(' ')}</li>
+              ))}
+              {report.errors.length > 20 && <li>…and {report.errors.length - 20} more.</li>}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
 // --- ABOUT PAGE ---
 function AboutPage() {
   return (
@@ -378,53 +1332,151 @@ function AboutPage() {
 }
 
 // --- CONTROLS COMPONENT (RecoShelfControls) ---
-function RecoShelfControls({ recoParams, onBrandChange, onPageChange, isPrevDisabled, isNextDisabled }) {
+// Facet options with counts, plus selected values the facets no longer list
+// so they can still be cleared.
+const withSelected = (options, selected) => [
+  ...options,
+  ...selected.filter(v => !options.some(o => o.value === v)).map(value => ({ value })),
+];
+
+// Slider bounds from a facet range, widened to whole steps.
+const sliderBounds = (range, step) => ({
+  min: Math.floor((range?.min ?? 0) / step) * step,
+  max: Math.ceil((range?.max ?? 0) / step) * step,
+});
+
+// `filters` / `onFiltersChange` render the filter panel from `facets`
+// (GET /api/mobiles/facets). `pagination` is a paged response ({ page, limit,
+// total, totalIsEstimate, hasMore, prevCursor, nextCursor }); the buttons hand
+// the matching cursor to onPageChange. A total that may still grow shows no
+// page count.
+function RecoShelfControls({ filters, facets, onFiltersChange, pagination, onPageChange }) {
+  const battery = sliderBounds(facets?.ranges.battery, 100);
+  const screen = sliderBounds(facets?.ranges.screen, 0.1);
+  const hasFilters = filters && JSON.stringify(filters) !== JSON.stringify(EMPTY_FILTERS);
+
+  const toggle = (key, value) => onFiltersChange({
+    ...filters,
+    [key]: filters[key].includes(value) ? filters[key].filter(v => v !== value) : [...filters[key], value],
+  });
+  // A slider at the end of its range means "any".
+  const setBound = (key, value, anyAt) => onFiltersChange({
+    ...filters,
+    [key]: Number(value) === anyAt ? '' : Number(value),
+  });
+
   return (
     <div className="controls-box" style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1.5rem', padding: '10px 0', borderBottom: '1px solid #eee'}}>
-      <div className="filter-group" style={{display: 'flex', alignItems: 'center', gap: '10px'}}>
-        <label htmlFor="brand-filter" style={{fontWeight: 500}}>Filter by Brand:</label>
-        <select
-          id="brand-filter"
-          className="form-input"
-          style={{width: '150px', padding: '5px'}}
-          value={recoParams.brand}
-          onChange={(e) => onBrandChange(e.target.value)}
-        >
-          <option value="">All Brands</option>
-          {BRAND_LIST.map(brand => (
-            <option key={brand} value={brand}>{brand}</option>
-          ))}
-        </select>
-      </div>
+      {onFiltersChange && (
+        <div className="filter-panel">
+          <div className="filter-section">
+            <span className="filter-label">Brands</span>
+            <div className="chip-group scrollable">
+              {withSelected(facets?.brands || [], filters.brands).map(({ value, count }) => (
+                <label key={value} className={`chip ${filters.brands.includes(value) ? 'active' : ''}`}>
+                  <input type="checkbox" checked={filters.brands.includes(value)} onChange={() => toggle('brands', value)} />
+                  {value}{count !== undefined && <span className="chip-count">{count}</span>}
+                </label>
+              ))}
+            </div>
+          </div>
 
-      <div className="pagination-group" style={{display: 'flex', alignItems: 'center', gap: '10px'}}>
-        <button 
-          className="form-button" 
-          style={{width: 'auto', padding: '8px 12px'}}
-          onClick={() => onPageChange(recoParams.page - 1)} 
-          disabled={isPrevDisabled}
-        >
-          Previous
-        </button>
-        <span className="page-info" style={{fontWeight: 600}}>Page {recoParams.page}</span>
-        <button 
-          className="form-button" 
-          style={{width: 'auto', padding: '8px 12px'}}
-          onClick={() => onPageChange(recoParams.page + 1)} 
-          disabled={isNextDisabled}
-        >
-          Next
-        </button>
-      </div>
+          <div className="filter-section">
+            <span className="filter-label">Operating system</span>
+            <div className="chip-group">
+              {withSelected(facets?.os || [], filters.os).map(({ value, count }) => (
+                <label key={value} className={`chip ${filters.os.includes(value) ? 'active' : ''}`}>
+                  <input type="checkbox" checked={filters.os.includes(value)} onChange={() => toggle('os', value)} />
+                  {value}{count !== undefined && <span className="chip-count">{count}</span>}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {battery.max > battery.min && (
+            <div className="filter-section">
+              <label htmlFor="battery-filter" className="filter-label">
+                Battery: {filters.minBattery ? `${filters.minBattery}+ mAh` : 'any'}
+              </label>
+              <input
+                id="battery-filter"
+                type="range"
+                min={battery.min}
+                max={battery.max}
+                step="100"
+                value={filters.minBattery || battery.min}
+                onChange={(e) => setBound('minBattery', e.target.value, battery.min)}
+              />
+            </div>
+          )}
+
+          {screen.max > screen.min && (
+            <div className="filter-section">
+              <span className="filter-label">
+                Screen: {filters.minScreen || screen.min}" – {filters.maxScreen || screen.max}"
+              </span>
+              <input
+                type="range"
+                aria-label="Minimum screen size"
+                min={screen.min}
+                max={filters.maxScreen || screen.max}
+                step="0.1"
+                value={filters.minScreen || screen.min}
+                onChange={(e) => setBound('minScreen', e.target.value, screen.min)}
+              />
+              <input
+                type="range"
+                aria-label="Maximum screen size"
+                min={filters.minScreen || screen.min}
+                max={screen.max}
+                step="0.1"
+                value={filters.maxScreen || screen.max}
+                onChange={(e) => setBound('maxScreen', e.target.value, screen.max)}
+              />
+            </div>
+          )}
+
+          {hasFilters && (
+            <button className="form-button" style={{width: 'auto', padding: '6px 12px'}} onClick={() => onFiltersChange(EMPTY_FILTERS)}>
+              Clear filters
+            </button>
+          )}
+        </div>
+      )}
+
+      {onPageChange && pagination && (
+        <div className="pagination-group" style={{display: 'flex', alignItems: 'center', gap: '10px', marginLeft: 'auto'}}>
+          <button 
+            className="form-button" 
+            style={{width: 'auto', padding: '8px 12px'}}
+            onClick={() => onPageChange(pagination.prevCursor)} 
+            disabled={!pagination.prevCursor}
+          >
+            Previous
+          </button>
+          <span className="page-info" style={{fontWeight: 600}}>
+            Page {pagination.page}
+            {!pagination.totalIsEstimate && ` of ${Math.max(Math.ceil(pagination.total / pagination.limit), 1)}`}
+          </span>
+          <button 
+            className="form-button" 
+            style={{width: 'auto', padding: '8px 12px'}}
+            onClick={() => onPageChange(pagination.nextCursor)} 
+            disabled={!pagination.hasMore}
+          >
+            Next
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
 // --- REUSABLE SHELF COMPONENT ---
-function RecommendationShelf({ title, recommendations, isLoading, error, onProductClick, RecoShelfControls, recoParams, onBrandChange, onPageChange, isPrevDisabled, isNextDisabled }) {
+function RecommendationShelf({ title, recommendations, recId, isLoading, error, onProductClick, onDismiss, token, compare, RecoShelfControls, filters, facets, onFiltersChange, pagination, onPageChange }) {
   
   // Conditionally render controls only if they are relevant (Home Page)
-  const displayControls = RecoShelfControls && onBrandChange && onPageChange;
+  const displayControls = RecoShelfControls && (onFiltersChange || onPageChange);
 
   return (
     <div className="reco-shelf">
@@ -432,11 +1484,11 @@ function RecommendationShelf({ title, recommendations, isLoading, error, onProdu
       
       {displayControls && (
         <RecoShelfControls 
-          recoParams={recoParams}
-          onBrandChange={onBrandChange}
+          filters={filters}
+          facets={facets}
+          onFiltersChange={onFiltersChange}
+          pagination={pagination}
           onPageChange={onPageChange}
-          isPrevDisabled={isPrevDisabled}
-          isNextDisabled={isNextDisabled}
         />
       )}
 
@@ -452,7 +1504,15 @@ function RecommendationShelf({ title, recommendations, isLoading, error, onProdu
       {!isLoading && !error && recommendations.length > 0 && (
         <div className="reco-grid">
           {recommendations.map((mobile) => (
-            <ProductCard key={mobile.url} mobile={mobile} onClick={() => onProductClick(mobile)} />
+            <ProductCard
+              key={mobile.url}
+              mobile={mobile}
+              recId={recId}
+              token={token}
+              compare={compare}
+              onClick={() => onProductClick(mobile)}
+              onDismiss={onDismiss && (() => onDismiss(mobile))}
+            />
           ))}
         </div>
       )}
@@ -461,51 +1521,28 @@ function RecommendationShelf({ title, recommendations, isLoading, error, onProdu
 }
 
 // --- PRODUCT CARD COMPONENT ---
-function ProductCard({ mobile }) {
-  const { Brand, Model, "Picture URL": imageUrl, "Operating system": os, url } = mobile;
+// `recId` identifies the shelf response; it is sent with clicks and cart adds.
+function ProductCard({ mobile, recId, token, compare, onClick, onDismiss }) {
+  const { Brand, Model, "Picture URL": imageUrl, "Operating system": os, url, reasons } = mobile;
 
   const handleError = (e) => {
     e.target.src = `https://placehold.co/180x180/e0e0e0/777?text=${Brand}`;
   };
 
-  // 🔹 Log interaction before redirecting to NDTV
-  const handleClick = async (e) => {
+  const handleClick = (e) => {
     e.preventDefault();
-    const payload = {
-      item_id: url,
-      event: "click",
-      brand: Brand,
-      model: Model,
-      timestamp: new Date().toISOString(),
-    };
-
-    try {
-      await axios.post("http://localhost:8000/api/interactions", payload, {
-        headers: { "Content-Type": "application/json" },
-      });
-      console.log("✅ Interaction logged:", payload);
-    } catch (error) {
-      console.warn("⚠️ Interaction logging failed, retrying...");
-      // Retry once silently
-      setTimeout(async () => {
-        try {
-          await axios.post("http://localhost:8000/api/interactions", payload);
-        } catch {}
-      }, 300);
-    } finally {
-      // Always open NDTV after sending interaction
-      window.open(url, "_blank", "noopener,noreferrer");
-    }
+    trackEvent('click', url, { recId });
+    onClick();
   };
 
   return (
-    <a
-      href={url}
-      target="_blank"
-      rel="noopener noreferrer"
+    <div
+      role="link"
+      tabIndex={0}
       className="product-card"
-      title={`View ${Brand} ${Model} on NDTV`}
+      title={`View ${Brand} ${Model}`}
       onClick={handleClick}
+      onKeyDown={(e) => e.key === 'Enter' && handleClick(e)}
     >
       <div className="product-card-img-container">
         <img
@@ -518,8 +1555,57 @@ function ProductCard({ mobile }) {
       <div className="product-card-info">
         <h3>{Brand} {Model}</h3>
         <p>{os || 'N/A'}</p>
-        <p className="view-link">View on NDTV 🔗</p>
+        {reasons?.length > 0 && (
+          <p className="reco-reason" title={reasons.join('\n')}>Because: {reasons[0]}</p>
+        )}
+        <p className="view-link">View details →</p>
+        {token && (
+          <div className="product-card-actions">
+            <AddToCartButton token={token} itemId={url} recId={recId} compact />
+            <WishlistButton token={token} itemId={url} compact />
+            <CompareButton mobile={mobile} compare={compare} compact />
+          </div>
+        )}
       </div>
-    </a>
+      {onDismiss && (
+        <button
+          className="dismiss-button"
+          title="Not interested"
+          onClick={(e) => { e.stopPropagation(); onDismiss(); }}
+          onKeyDown={(e) => e.stopPropagation()}
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+}
+
+// --- ADD TO CART BUTTON ---
+function AddToCartButton({ token, itemId, recId, compact = false }) {
+  const [status, setStatus] = useState('idle');
+
+  const handleAdd = async (e) => {
+    e.stopPropagation();
+    setStatus('adding');
+    try {
+      await addToCart(token, itemId, recId);
+      setStatus('added');
+    } catch (err) {
+      console.error('Failed to add to cart:', err);
+      setStatus('error');
+    }
+  };
+
+  const label = { idle: 'Add to cart', adding: 'Adding...', added: 'Added ✓', error: 'Retry' }[status];
+  return (
+    <button
+      className={`cart-button ${compact ? 'compact' : ''}`}
+      onClick={handleAdd}
+      onKeyDown={(e) => e.stopPropagation()}
+      disabled={status === 'adding'}
+    >
+      {label}
+    </button>
   );
 }
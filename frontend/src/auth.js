@@ -0,0 +1,69 @@
+import axios from 'axios';
+import { API_BASE_URL } from './config.js';
+
+// --- Session refresh ---
+// Retries requests that failed with 401 once, after exchanging the refresh
+// token for a new access token. Concurrent failures share one refresh call,
+// and tabs take turns through a Web Lock so only one of them rotates a token.
+
+const AUTH_API_URL = `${API_BASE_URL}/auth`;
+const REFRESH_LOCK = 'session-refresh';
+
+let refreshPromise = null;
+
+const isAuthRoute = (url = '') => url.startsWith(AUTH_API_URL);
+
+const withRefreshLock = fn => (navigator.locks ? navigator.locks.request(REFRESH_LOCK, fn) : fn());
+
+// getSession() reads the stored { token, refreshToken }; staleToken is the
+// access token that was rejected. A tab that finds a different access token
+// stored once it holds the lock reuses the session another tab refreshed.
+export function refreshSession(getSession, staleToken) {
+  if (!refreshPromise) {
+    refreshPromise = withRefreshLock(async () => {
+      const { token, refreshToken } = getSession();
+      if (!refreshToken) throw new Error('No refresh token.');
+      if (token && token !== staleToken) return { token, refreshToken };
+      const response = await axios.post(`${AUTH_API_URL}/refresh`, { refreshToken });
+      return response.data;
+    }).finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+}
+
+export function logoutSession(refreshToken) {
+  if (!refreshToken) return Promise.resolve();
+  return axios.post(`${AUTH_API_URL}/logout`, { refreshToken })
+    .catch(err => console.error('Failed to revoke session:', err));
+}
+
+// Returns a function that removes the interceptor.
+export function installAuthInterceptor({ getSession, onRefreshed, onAuthFailure }) {
+  const id = axios.interceptors.response.use(
+    response => response,
+    async (error) => {
+      const { config, response } = error;
+      if (response?.status !== 401 || !config || config._retried || isAuthRoute(config.url)) {
+        return Promise.reject(error);
+      }
+
+      if (!getSession().refreshToken) {
+        onAuthFailure();
+        return Promise.reject(error);
+      }
+
+      try {
+        const staleToken = config.headers?.Authorization?.split(' ')[1];
+        const session = await refreshSession(getSession, staleToken);
+        onRefreshed(session);
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${session.token}`;
+        return axios(config);
+      } catch (refreshError) {
+        onAuthFailure();
+        return Promise.reject(refreshError);
+      }
+    }
+  );
+  return () => axios.interceptors.response.eject(id);
+}
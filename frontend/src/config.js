@@ -0,0 +1,2 @@
+// --- Shared API configuration ---
+export const API_BASE_URL = 'http://localhost:5000/api';
@@ -0,0 +1,66 @@
+import axios from 'axios';
+import { API_BASE_URL } from './config.js';
+
+// --- Interaction tracking client ---
+// Queues events and sends them in batches to the Node backend's
+// /api/interactions route, authenticated with the current session token.
+
+const INTERACTION_API_URL = `${API_BASE_URL}/interactions`;
+const FLUSH_DELAY_MS = 1000;
+const MAX_BATCH_SIZE = 20;
+
+export const INTERACTION_TYPES = ['view', 'click', 'cart', 'purchase', 'wishlist', 'dismiss', 'compare'];
+
+let authToken = null;
+let queue = [];
+let flushTimer = null;
+
+const send = (events, token, keepalive) => {
+  const body = { events };
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  // keepalive lets the request outlive the page during unload.
+  if (keepalive) {
+    return fetch(INTERACTION_API_URL, { method: 'POST', headers, body: JSON.stringify(body), keepalive: true });
+  }
+  return axios.post(INTERACTION_API_URL, body, { headers });
+};
+
+export function flushEvents({ keepalive = false } = {}) {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0 || !authToken) return Promise.resolve();
+
+  const batches = [];
+  while (queue.length > 0) batches.push(queue.splice(0, MAX_BATCH_SIZE));
+  const token = authToken;
+
+  return Promise.all(
+    batches.map(events => send(events, token, keepalive)
+      .catch(err => console.error('Failed to log interactions:', err)))
+  );
+}
+
+// `recId` ties the event to the recommendation shelf the item was shown on.
+export function trackEvent(interactionType, itemId, { recId } = {}) {
+  if (!INTERACTION_TYPES.includes(interactionType)) {
+    console.warn(`Ignoring unknown interaction type "${interactionType}"`);
+    return;
+  }
+  if (!itemId) return;
+
+  queue.push({ itemId, interactionType, timestamp: new Date().toISOString(), ...(recId && { recId }) });
+  if (queue.length >= MAX_BATCH_SIZE) flushEvents();
+  else if (!flushTimer) flushTimer = setTimeout(flushEvents, FLUSH_DELAY_MS);
+}
+
+// Events queued before a session exists (e.g. on first render) wait for the
+// token; events pending at a session change are flushed under the old one.
+export function setTrackingToken(token) {
+  if (token === authToken) return;
+  flushEvents();
+  authToken = token;
+  if (authToken && queue.length > 0) flushTimer = setTimeout(flushEvents, FLUSH_DELAY_MS);
+}
+
+window.addEventListener('pagehide', () => flushEvents({ keepalive: true }));